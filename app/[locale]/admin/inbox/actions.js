@@ -0,0 +1,41 @@
+"use server";
+
+import { headers } from "next/headers";
+import { revalidatePath } from "next/cache";
+import { checkAdmin } from "../../../lib/admin-auth";
+import { STATUSES, updateMessage } from "../../../lib/contact/inbox";
+import { deliverNow, retryDueDeliveries } from "../../../lib/contact/retry";
+
+const MAX_NOTES = 5000;
+
+// Server actions can be invoked from any page, so the proxy's path check
+// doesn't cover them.
+async function requireAdmin() {
+    if (checkAdmin({ headers: await headers() })) throw new Error("Not authorized");
+}
+
+const refresh = () => revalidatePath("/[locale]/admin/inbox", "page");
+
+export async function updateMessageAction(formData) {
+    await requireAdmin();
+    const status = String(formData.get("status"));
+    if (!STATUSES.includes(status)) return { ok: false, error: `Unknown status "${status}"` };
+    await updateMessage(String(formData.get("id")), {
+        status,
+        notes: String(formData.get("notes") ?? "").trim().slice(0, MAX_NOTES),
+    });
+    refresh();
+    return { ok: true };
+}
+
+export async function redeliverAction(formData) {
+    await requireAdmin();
+    await deliverNow(String(formData.get("id")));
+    refresh();
+}
+
+export async function retryDueAction() {
+    await requireAdmin();
+    await retryDueDeliveries();
+    refresh();
+}
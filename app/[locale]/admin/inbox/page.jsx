@@ -0,0 +1,161 @@
+import Link from "next/link";
+import { STATUSES, listMessages } from "../../../lib/contact/inbox";
+import { MAX_ATTEMPTS } from "../../../lib/contact/retry";
+import { alpha, vars } from "../../../lib/themes";
+import { localizedPath } from "../../../lib/site";
+import { redeliverAction, retryDueAction, updateMessageAction } from "./actions";
+
+export const dynamic = "force-dynamic";
+
+export const metadata = {
+    title: "Inbox",
+    robots: { index: false, follow: false },
+};
+
+// "failed" is the undelivered view, not a message status.
+const FILTERS = [["", "All"], ["new", "New"], ["replied", "Replied"], ["archived", "Archived"], ["failed", "Undelivered"]];
+
+const statusColors = { new: vars.accent, replied: vars.success, archived: vars.textMuted };
+const deliveryColors = { sent: vars.textMuted, pending: vars.textSecondary, failed: vars.danger };
+
+const mono = "'JetBrains Mono', monospace";
+const note = { color: vars.textMuted, fontSize: 14, lineHeight: 1.6 };
+const control = {
+    padding: "8px 14px", borderRadius: 10, background: vars.bgInput, border: `1px solid ${vars.border}`,
+    color: vars.text, fontFamily: "'DM Sans', sans-serif", fontSize: 14,
+};
+const button = {
+    padding: "8px 18px", borderRadius: 50, cursor: "pointer", textDecoration: "none",
+    fontFamily: "'DM Sans', sans-serif", fontSize: 13, fontWeight: 500,
+    background: "transparent", border: `1px solid ${vars.border}`, color: vars.textSecondary,
+};
+
+const when = (iso) => `${iso.slice(0, 16).replace("T", " ")} UTC`;
+
+function Badge({ color, children }) {
+    return (
+        <span style={{ padding: "3px 10px", borderRadius: 50, fontFamily: mono, fontSize: 11, color, background: alpha(color, 0.1), border: `1px solid ${alpha(color, 0.3)}` }}>
+            {children}
+        </span>
+    );
+}
+
+function Delivery({ delivery }) {
+    if (delivery.state === "sent") return <Badge color={deliveryColors.sent}>delivered</Badge>;
+    return (
+        <span style={{ display: "inline-flex", flexWrap: "wrap", alignItems: "center", gap: 8 }}>
+            <Badge color={deliveryColors[delivery.state]}>{delivery.state === "failed" ? "delivery failed" : "delivering"}</Badge>
+            <span style={{ ...note, fontSize: 12 }}>
+                {delivery.attempts}/{MAX_ATTEMPTS} attempts
+                {delivery.nextAttemptAt ? ` · next ${when(delivery.nextAttemptAt)}` : delivery.state === "failed" ? " · no more automatic retries" : ""}
+            </span>
+        </span>
+    );
+}
+
+function Message({ message }) {
+    const { id, name, email, locale, receivedAt, status, notes, delivery } = message;
+    return (
+        <li style={{ padding: "24px 28px", borderRadius: 20, background: vars.bgCard, border: `1px solid ${vars.border}` }}>
+            <div style={{ display: "flex", flexWrap: "wrap", alignItems: "baseline", justifyContent: "space-between", gap: 12, marginBottom: 10 }}>
+                <div>
+                    <strong style={{ fontFamily: "'Syne', sans-serif", fontSize: 18 }}>{name}</strong>{" "}
+                    <a href={`mailto:${email}?subject=${encodeURIComponent("Re: your message")}`} style={{ color: vars.accent, fontSize: 14 }}>{email}</a>
+                </div>
+                <span style={{ ...note, fontFamily: mono, fontSize: 12 }}>{when(receivedAt)} · {locale}</span>
+            </div>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginBottom: 14 }}>
+                <Badge color={statusColors[status]}>{status}</Badge>
+                <Delivery delivery={delivery} />
+            </div>
+            <p style={{ whiteSpace: "pre-wrap", lineHeight: 1.7, color: vars.textSecondary, marginBottom: 18 }}>{message.message}</p>
+            {delivery.lastError && <p style={{ ...note, color: vars.danger, fontFamily: mono, fontSize: 12, marginBottom: 14 }}>{delivery.lastError}</p>}
+            <div style={{ display: "flex", flexWrap: "wrap", alignItems: "flex-end", gap: 10 }}>
+                <form action={updateMessageAction} style={{ display: "flex", flexWrap: "wrap", alignItems: "flex-end", gap: 10, flex: 1 }}>
+                    <input type="hidden" name="id" value={id} />
+                    <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: vars.textMuted }}>
+                        Status
+                        <select name="status" defaultValue={status} style={control}>
+                            {STATUSES.map((option) => <option key={option} value={option}>{option}</option>)}
+                        </select>
+                    </label>
+                    <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: vars.textMuted, flex: 1, minWidth: 240 }}>
+                        Notes
+                        <textarea name="notes" defaultValue={notes} rows={2} maxLength={5000} style={{ ...control, resize: "vertical" }} />
+                    </label>
+                    <button type="submit" style={button}>Save</button>
+                </form>
+                {delivery.state !== "sent" && (
+                    <form action={redeliverAction}>
+                        <input type="hidden" name="id" value={id} />
+                        <button type="submit" style={{ ...button, color: vars.danger, borderColor: alpha(vars.danger, 0.4) }}>Retry delivery</button>
+                    </form>
+                )}
+            </div>
+        </li>
+    );
+}
+
+// Owner-only (proxy.js asks for ADMIN_PASSWORD). Every message from the
+// contact form, with its delivery state, a status and private notes.
+export default async function InboxPage({ params, searchParams }) {
+    const { locale } = await params;
+    // A repeated parameter (?q=a&q=b) arrives as an array.
+    const { q: rawQuery, status: rawStatus } = await searchParams;
+    const q = typeof rawQuery === "string" ? rawQuery : "";
+    const status = typeof rawStatus === "string" ? rawStatus : "";
+    const filter = FILTERS.some(([value]) => value === status) ? status : "";
+    const all = await listMessages();
+    const messages = await listMessages({ query: q, status: filter });
+    const inboxPath = localizedPath("/admin/inbox", locale);
+    const query = (changes) => {
+        const search = new URLSearchParams(Object.entries({ q, status: filter, ...changes }).filter(([, value]) => value));
+        return search.size ? `?${search}` : "";
+    };
+    const count = (value) => (value === "failed" ? all.filter((message) => message.delivery.state !== "sent") : value ? all.filter((message) => message.status === value) : all).length;
+
+    return (
+        <main style={{ background: vars.bg, color: vars.text, minHeight: "100vh", padding: "60px 40px", fontFamily: "'DM Sans', sans-serif" }}>
+            <div style={{ maxWidth: 900, margin: "0 auto" }}>
+                <div style={{ display: "flex", flexWrap: "wrap", alignItems: "baseline", justifyContent: "space-between", gap: 16, marginBottom: 12 }}>
+                    <h1 style={{ fontFamily: "'Syne', sans-serif", fontSize: 32, fontWeight: 800 }}>Inbox</h1>
+                    <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                        <a href={`${inboxPath}/export${query({})}`} download style={button}>Export CSV</a>
+                        {count("failed") > 0 && (
+                            <form action={retryDueAction}>
+                                <button type="submit" style={button}>Retry due deliveries</button>
+                            </form>
+                        )}
+                    </div>
+                </div>
+                <p style={{ ...note, marginBottom: 28 }}>
+                    Every message sent through the contact form, kept even when delivery fails. Failed deliveries are retried
+                    automatically up to {MAX_ATTEMPTS} times; after that use Retry delivery.
+                </p>
+
+                <form method="get" action={inboxPath} style={{ display: "flex", gap: 10, marginBottom: 16 }}>
+                    {filter && <input type="hidden" name="status" value={filter} />}
+                    <input type="search" name="q" defaultValue={q} placeholder="Search name, email, message or notes" aria-label="Search" style={{ ...control, flex: 1 }} />
+                    <button type="submit" style={button}>Search</button>
+                </form>
+                <nav aria-label="Filter" style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 28 }}>
+                    {FILTERS.map(([value, label]) => (
+                        <Link key={label} href={`${inboxPath}${query({ status: value })}`} aria-current={value === filter ? "page" : undefined} style={{
+                            ...button,
+                            background: value === filter ? alpha(vars.accent, 0.13) : "transparent",
+                            color: value === filter ? vars.accent : vars.textSecondary,
+                        }}>{label} ({count(value)})</Link>
+                    ))}
+                </nav>
+
+                {messages.length ? (
+                    <ol style={{ listStyle: "none", display: "flex", flexDirection: "column", gap: 16 }}>
+                        {messages.map((message) => <Message key={message.id} message={message} />)}
+                    </ol>
+                ) : (
+                    <p style={note}>{q ? `No messages match “${q}”.` : "No messages here."}</p>
+                )}
+            </div>
+        </main>
+    );
+}
@@ -0,0 +1,13 @@
+import { notFound } from "next/navigation";
+import ConnectionsBenchmark from "../../../components/ConnectionsBenchmark";
+
+export const metadata = {
+    title: "Connection lines benchmark",
+    robots: { index: false, follow: false },
+};
+
+// Development tool only; production builds serve a 404 here.
+export default function ConnectionsBenchmarkPage() {
+    if (process.env.NODE_ENV === "production") notFound();
+    return <ConnectionsBenchmark />;
+}
@@ -0,0 +1,28 @@
+import { notFound } from "next/navigation";
+import { blogCard, ogContentType, ogSize } from "../../../lib/og";
+import { getPost } from "../../../lib/content";
+import { format, formatDate } from "../../../lib/i18n/locale";
+import { getDictionary } from "../../../lib/i18n/dictionaries";
+
+// Drawn on each request from the current content, not at build time.
+export const dynamic = "force-dynamic";
+
+// Next also calls this without params while collecting static paths, when
+// only the id matters.
+export function generateImageMetadata({ params }) {
+    const post = params.slug && getPost(params.slug, params.locale);
+    const { blog } = getDictionary(params.locale);
+    return [{ id: "card", alt: post ? format(blog.imageAlt, { title: post.title }) : undefined, size: ogSize, contentType: ogContentType }];
+}
+
+export default async function Image({ params }) {
+    const { locale, slug } = await params;
+    const post = getPost(slug, locale);
+    if (!post) notFound();
+    const { blog } = getDictionary(locale);
+    return blogCard({
+        kicker: post.tags.join(" · "),
+        title: post.title,
+        detail: `${formatDate(locale, post.date)} · ${format(blog.readingTime, { minutes: post.readingTime })}`,
+    });
+}
@@ -0,0 +1,76 @@
+import { notFound } from "next/navigation";
+import { BlogShell, PostMeta, TagLinks, blogMetadata } from "../../../components/Blog";
+import JsonLd from "../../../components/JsonLd";
+import Mdx from "../../../components/Mdx";
+import { postPath } from "../../../lib/blog";
+import { getPost, getPosts } from "../../../lib/content";
+import { blogPostingJsonLd, breadcrumbJsonLd } from "../../../lib/structured-data";
+import { alpha, vars } from "../../../lib/themes";
+import { localizedPath, localizedUrl, person } from "../../../lib/site";
+import { format } from "../../../lib/i18n/locale";
+import { getDictionary } from "../../../lib/i18n/dictionaries";
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+    return getPosts().map((post) => ({ slug: post.slug }));
+}
+
+export async function generateMetadata({ params }) {
+    const { locale, slug } = await params;
+    const post = getPost(slug, locale);
+    if (!post) return {};
+    const { blog } = getDictionary(locale);
+    return {
+        ...blogMetadata({
+            locale,
+            path: postPath(post.slug),
+            title: format(blog.postTitle, { title: post.title }),
+            description: post.description,
+            openGraph: {
+                type: "article",
+                publishedTime: post.date,
+                modifiedTime: post.updatedAt,
+                authors: [localizedUrl("/", locale)],
+                tags: post.tags,
+            },
+        }),
+        keywords: post.tags,
+        authors: [{ name: person.name, url: localizedUrl("/", locale) }],
+    };
+}
+
+export default async function PostPage({ params }) {
+    const { locale, slug } = await params;
+    const post = getPost(slug, locale);
+    if (!post) notFound();
+
+    const { blog } = getDictionary(locale);
+    const translated = post.language === locale;
+    return (
+        <BlogShell locale={locale} back={localizedPath("/blog", locale)}>
+            <JsonLd data={blogPostingJsonLd(post, locale)} />
+            <JsonLd data={breadcrumbJsonLd(locale, [
+                { name: blog.link, url: localizedUrl("/blog", locale) },
+                { name: post.title, url: localizedUrl(postPath(post.slug), locale) },
+            ])} />
+            {!translated && (
+                <p role="note" style={{
+                    fontFamily: "'DM Sans', sans-serif", fontSize: 14, color: vars.textSecondary, marginBottom: 32,
+                    padding: "12px 18px", borderRadius: 12, background: alpha(vars.accent, 0.06), border: `1px solid ${alpha(vars.accent, 0.2)}`,
+                }}>{blog.englishOnly}</p>
+            )}
+            <article lang={translated ? undefined : post.language}>
+                <header style={{ marginBottom: 48 }}>
+                    <PostMeta post={post} locale={locale} />
+                    <h1 style={{ fontFamily: "'Syne', sans-serif", fontSize: "clamp(32px, 5vw, 48px)", fontWeight: 800, lineHeight: 1.12, letterSpacing: -1, margin: "14px 0 18px" }}>
+                        {post.title}
+                    </h1>
+                    <p style={{ fontFamily: "'DM Sans', sans-serif", fontSize: 19, color: vars.textSecondary, lineHeight: 1.6, marginBottom: 24 }}>{post.description}</p>
+                    <TagLinks tags={post.tags} locale={locale} />
+                </header>
+                <Mdx source={post.body} />
+            </article>
+        </BlogShell>
+    );
+}
@@ -0,0 +1,15 @@
+import { toAtom } from "../../../lib/blog";
+import { locales } from "../../../lib/site";
+
+export const dynamic = "force-static";
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+    return locales.map((locale) => ({ locale }));
+}
+
+// The same posts as an Atom 1.0 feed.
+export async function GET(request, { params }) {
+    const { locale } = await params;
+    return new Response(toAtom(locale), { headers: { "Content-Type": "application/atom+xml; charset=utf-8" } });
+}
@@ -0,0 +1,15 @@
+import { toJsonFeed } from "../../../lib/blog";
+import { locales } from "../../../lib/site";
+
+export const dynamic = "force-static";
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+    return locales.map((locale) => ({ locale }));
+}
+
+// The same posts as JSON Feed 1.1.
+export async function GET(request, { params }) {
+    const { locale } = await params;
+    return Response.json(toJsonFeed(locale), { headers: { "Content-Type": "application/feed+json; charset=utf-8" } });
+}
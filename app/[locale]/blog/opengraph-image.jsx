@@ -0,0 +1,17 @@
+import { blogCard, ogContentType, ogSize } from "../../lib/og";
+import { getPosts } from "../../lib/content";
+import { plural } from "../../lib/i18n/locale";
+import { getDictionary } from "../../lib/i18n/dictionaries";
+
+// Drawn on each request from the current content, not at build time.
+export const dynamic = "force-dynamic";
+
+export function generateImageMetadata({ params }) {
+    return [{ id: "card", alt: getDictionary(params.locale).blog.title, size: ogSize, contentType: ogContentType }];
+}
+
+export default async function Image({ params }) {
+    const { locale } = await params;
+    const { blog } = getDictionary(locale);
+    return blogCard({ kicker: blog.link, title: blog.heading.join(""), detail: plural(locale, blog.postCount, getPosts(locale).length) });
+}
@@ -0,0 +1,30 @@
+import { BlogShell, FeedLinks, PostList, TagLinks, blogMetadata } from "../../components/Blog";
+import { getTags } from "../../lib/blog";
+import { getPosts } from "../../lib/content";
+import { vars } from "../../lib/themes";
+import { getDictionary } from "../../lib/i18n/dictionaries";
+
+export async function generateMetadata({ params }) {
+    const { locale } = await params;
+    const { blog } = getDictionary(locale);
+    return blogMetadata({ locale, path: "/blog", title: blog.title, description: blog.description });
+}
+
+export default async function BlogPage({ params }) {
+    const { locale } = await params;
+    const { blog } = getDictionary(locale);
+    const [before, accent, after] = blog.heading;
+    return (
+        <BlogShell locale={locale}>
+            <h1 style={{ fontFamily: "'Syne', sans-serif", fontSize: "clamp(32px, 5vw, 52px)", fontWeight: 800, lineHeight: 1.1, letterSpacing: -1, marginBottom: 16 }}>
+                {before}<span style={{ color: vars.accent }}>{accent}</span>{after}
+            </h1>
+            <p style={{ fontFamily: "'DM Sans', sans-serif", fontSize: 17, color: vars.textSecondary, lineHeight: 1.7, marginBottom: 20 }}>{blog.description}</p>
+            <FeedLinks locale={locale} />
+            <nav aria-label={blog.tags} style={{ margin: "32px 0 48px" }}>
+                <TagLinks tags={getTags(locale).map(({ tag }) => tag)} locale={locale} />
+            </nav>
+            <PostList posts={getPosts(locale)} locale={locale} />
+        </BlogShell>
+    );
+}
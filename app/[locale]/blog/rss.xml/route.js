@@ -0,0 +1,16 @@
+import { toRss } from "../../../lib/blog";
+import { locales } from "../../../lib/site";
+
+export const dynamic = "force-static";
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+    return locales.map((locale) => ({ locale }));
+}
+
+// Every post as RSS 2.0, newest first, in this locale (untranslated posts
+// in English).
+export async function GET(request, { params }) {
+    const { locale } = await params;
+    return new Response(toRss(locale), { headers: { "Content-Type": "application/rss+xml; charset=utf-8" } });
+}
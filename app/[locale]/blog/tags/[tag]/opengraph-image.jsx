@@ -0,0 +1,24 @@
+import { notFound } from "next/navigation";
+import { blogCard, ogContentType, ogSize } from "../../../../lib/og";
+import { getTags } from "../../../../lib/blog";
+import { format, plural } from "../../../../lib/i18n/locale";
+import { getDictionary } from "../../../../lib/i18n/dictionaries";
+
+// Drawn on each request from the current content, not at build time.
+export const dynamic = "force-dynamic";
+
+// Next also calls this without params while collecting static paths, when
+// only the id matters.
+export function generateImageMetadata({ params }) {
+    const entry = params.tag && getTags(params.locale).find(({ slug }) => slug === params.tag);
+    const { blog } = getDictionary(params.locale);
+    return [{ id: "card", alt: entry ? format(blog.tagTitle, { tag: entry.tag }) : undefined, size: ogSize, contentType: ogContentType }];
+}
+
+export default async function Image({ params }) {
+    const { locale, tag } = await params;
+    const entry = getTags(locale).find(({ slug }) => slug === tag);
+    if (!entry) notFound();
+    const { blog } = getDictionary(locale);
+    return blogCard({ kicker: blog.tagHeading, title: entry.tag, detail: plural(locale, blog.postCount, entry.posts.length) });
+}
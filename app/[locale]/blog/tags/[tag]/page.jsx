@@ -0,0 +1,48 @@
+import { notFound } from "next/navigation";
+import { BlogShell, PostList, TagLinks, blogMetadata } from "../../../../components/Blog";
+import { getTags, tagPath } from "../../../../lib/blog";
+import { vars } from "../../../../lib/themes";
+import { localizedPath } from "../../../../lib/site";
+import { format, plural } from "../../../../lib/i18n/locale";
+import { getDictionary } from "../../../../lib/i18n/dictionaries";
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+    return getTags().map(({ slug }) => ({ tag: slug }));
+}
+
+export async function generateMetadata({ params }) {
+    const { locale, tag } = await params;
+    const entry = getTags(locale).find(({ slug }) => slug === tag);
+    if (!entry) return {};
+    const { blog } = getDictionary(locale);
+    return blogMetadata({
+        locale,
+        path: tagPath(entry.tag),
+        title: format(blog.tagTitle, { tag: entry.tag }),
+        description: `${plural(locale, blog.postCount, entry.posts.length)} · ${blog.description}`,
+    });
+}
+
+export default async function TagPage({ params }) {
+    const { locale, tag } = await params;
+    const tags = getTags(locale);
+    const entry = tags.find(({ slug }) => slug === tag);
+    if (!entry) notFound();
+
+    const { blog } = getDictionary(locale);
+    return (
+        <BlogShell locale={locale} back={localizedPath("/blog", locale)}>
+            <p style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 12, letterSpacing: 1.5, textTransform: "uppercase", color: vars.textMuted }}>{blog.tagHeading}</p>
+            <h1 style={{ fontFamily: "'Syne', sans-serif", fontSize: "clamp(32px, 5vw, 52px)", fontWeight: 800, lineHeight: 1.1, letterSpacing: -1, color: vars.accent, margin: "8px 0 12px" }}>
+                {entry.tag}
+            </h1>
+            <p style={{ fontFamily: "'DM Sans', sans-serif", fontSize: 15, color: vars.textSecondary, marginBottom: 32 }}>{plural(locale, blog.postCount, entry.posts.length)}</p>
+            <nav aria-label={blog.tags} style={{ marginBottom: 48 }}>
+                <TagLinks tags={tags.map((other) => other.tag)} locale={locale} current={entry.tag} />
+            </nav>
+            <PostList posts={entry.posts} locale={locale} />
+        </BlogShell>
+    );
+}
@@ -0,0 +1,109 @@
+// Self-hosted fonts: the weights the pages use, served with the app.
+import "@fontsource/syne/400.css";
+import "@fontsource/syne/600.css";
+import "@fontsource/syne/700.css";
+import "@fontsource/syne/800.css";
+import "@fontsource/dm-sans/400.css";
+import "@fontsource/dm-sans/400-italic.css";
+import "@fontsource/dm-sans/500.css";
+import "@fontsource/dm-sans/700.css";
+import "@fontsource/jetbrains-mono/400.css";
+import "@fontsource/jetbrains-mono/500.css";
+import "../globals.css";
+import { defaultTheme, themeBootScript, themeColors, themeCss } from "../lib/themes";
+import { motionBootScript } from "../lib/motion";
+import { baseUrl, languageAlternates, localizedPath, localizedUrl, locales, person } from "../lib/site";
+import { openGraphLocales } from "../lib/i18n/locale";
+import { getDictionary } from "../lib/i18n/dictionaries";
+import { I18nProvider } from "../lib/i18n/provider";
+import { personJsonLd, serviceJsonLd } from "../lib/structured-data";
+import JsonLd from "../components/JsonLd";
+import PageView from "../components/PageView";
+
+// Only the locales in site.js exist; anything else is a 404.
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return locales.map((locale) => ({ locale }));
+}
+
+export async function generateMetadata({ params }) {
+  const { locale } = await params;
+  const { meta } = getDictionary(locale);
+  return {
+    title: meta.title,
+    description: meta.description,
+    keywords: meta.keywords,
+    authors: [{ name: person.name, url: baseUrl }],
+    creator: person.name,
+    publisher: person.name,
+
+    openGraph: {
+      type: "website",
+      locale: openGraphLocales[locale],
+      alternateLocale: locales.filter((other) => other !== locale).map((other) => openGraphLocales[other]),
+      url: localizedUrl("/", locale),
+      siteName: meta.siteName,
+      title: meta.ogTitle,
+      description: meta.ogDescription,
+      // Image: opengraph-image.jsx next to this layout.
+    },
+
+    twitter: {
+      card: "summary_large_image",
+      title: meta.ogTitle,
+      description: meta.twitterDescription,
+    },
+
+    // ─── Technical SEO ────────────────────────────────
+    metadataBase: new URL(baseUrl),
+    alternates: {
+      canonical: localizedUrl("/", locale),
+      languages: languageAlternates("/"),
+    },
+    robots: {
+      index: true,
+      follow: true,
+      googleBot: {
+        index: true,
+        follow: true,
+        "max-video-preview": -1,
+        "max-image-preview": "large",
+        "max-snippet": -1,
+      },
+    },
+    verification: {
+      // google: "your-google-verification-code",  // Add after setting up Google Search Console
+    },
+    category: "technology",
+  };
+}
+
+export default async function RootLayout({ children, params }) {
+  const { locale } = await params;
+  const dictionary = getDictionary(locale);
+  return (
+    <html lang={locale} data-theme={defaultTheme} suppressHydrationWarning>
+      <head>
+        {/* Resolve saved/system theme before first paint */}
+        <script dangerouslySetInnerHTML={{ __html: themeBootScript }} />
+        {/* Resolve saved/OS reduced-motion setting before any animation starts */}
+        <script dangerouslySetInnerHTML={{ __html: motionBootScript }} />
+        <style dangerouslySetInnerHTML={{ __html: themeCss() }} />
+        <link rel="icon" href="/favicon.ico" sizes="any" />
+        <link rel="icon" href="/icon.svg" type="image/svg+xml" />
+        <link rel="apple-touch-icon" href="/apple-touch-icon.png" />
+        <link rel="manifest" href={localizedPath("/manifest.webmanifest", locale)} />
+        {themeColors.map(({ media, color }) => <meta key={media} name="theme-color" media={media} content={color} />)}
+
+        {/* JSON-LD Structured Data (pages add their own nodes) */}
+        <JsonLd data={personJsonLd(locale)} />
+        <JsonLd data={serviceJsonLd(locale)} />
+      </head>
+      <body>
+        <I18nProvider locale={locale} dictionary={dictionary}>{children}</I18nProvider>
+        <PageView />
+      </body>
+    </html>
+  );
+}
@@ -0,0 +1,40 @@
+import { locales, localizedPath } from "../../lib/site";
+import { getDictionary } from "../../lib/i18n/dictionaries";
+import { defaultTheme, themes } from "../../lib/themes";
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+    return locales.map((locale) => ({ locale }));
+}
+
+// Web app manifest in the page's language, linked from the [locale] layout.
+export async function GET(request, { params }) {
+    const { locale } = await params;
+    const { manifest } = getDictionary(locale);
+    return Response.json(
+        {
+            name: manifest.name,
+            short_name: manifest.shortName,
+            description: manifest.description,
+            lang: locale,
+            start_url: localizedPath("/", locale),
+            display: "standalone",
+            background_color: themes[defaultTheme].colors.bg,
+            theme_color: themes[defaultTheme].colors.bg,
+            icons: [
+                {
+                    src: "/icon-192.png",
+                    sizes: "192x192",
+                    type: "image/png",
+                },
+                {
+                    src: "/icon-512.png",
+                    sizes: "512x512",
+                    type: "image/png",
+                },
+            ],
+        },
+        { headers: { "Content-Type": "application/manifest+json" } }
+    );
+}
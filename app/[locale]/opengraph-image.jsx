@@ -0,0 +1,16 @@
+import { homeCard, ogContentType, ogSize } from "../lib/og";
+import { getDictionary } from "../lib/i18n/dictionaries";
+
+// Drawn on each request from the current content, not at build time.
+export const dynamic = "force-dynamic";
+
+// One card per locale, with a translated alt text.
+export function generateImageMetadata({ params }) {
+    const { meta } = getDictionary(params.locale);
+    return [{ id: "card", alt: meta.ogImageAlt, size: ogSize, contentType: ogContentType }];
+}
+
+export default async function Image({ params }) {
+    const { locale } = await params;
+    return homeCard(getDictionary(locale));
+}
@@ -0,0 +1,14 @@
+import JsonLd from "../components/JsonLd";
+import Portfolio from "../components/Portfolio";
+import { getExperience, getProjects, getSkillEvidence, getSkillLinks, getSkills } from "../lib/content";
+import { profilePageJsonLd } from "../lib/structured-data";
+
+export default async function Page({ params }: { params: Promise<{ locale: string }> }) {
+    const { locale } = await params;
+    return (
+        <>
+            <JsonLd data={profilePageJsonLd(locale)} />
+            <Portfolio skills={getSkills(locale)} experience={getExperience(locale)} projects={getProjects(locale)} skillLinks={getSkillLinks()} skillEvidence={getSkillEvidence()} />
+        </>
+    );
+}
@@ -0,0 +1,53 @@
+import Image from "next/image";
+import { notFound } from "next/navigation";
+import { getPosts, getProjects } from "../../../lib/content";
+import { getTags, postPath, tagPath } from "../../../lib/blog";
+import { resumePath, resumeVariantSlugs } from "../../../lib/resume";
+import { localizedPath } from "../../../lib/site";
+import { vars } from "../../../lib/themes";
+
+export const metadata = {
+    title: "Open Graph preview",
+    robots: { index: false, follow: false },
+};
+
+// Development tool only; production builds serve a 404 here. Shows every
+// page's share card in this locale, re-rendered by the dev server on
+// every reload, so edits to app/lib/og.jsx show up without a social debugger.
+export default async function OpenGraphPreviewPage({ params }) {
+    if (process.env.NODE_ENV === "production") notFound();
+
+    const { locale } = await params;
+    const pages = [
+        "/",
+        resumePath(),
+        ...resumeVariantSlugs().map(resumePath),
+        ...getProjects(locale).map((project) => `/projects/${project.slug}`),
+        "/blog",
+        ...getPosts(locale).map((post) => postPath(post.slug)),
+        ...getTags(locale).map(({ tag }) => tagPath(tag)),
+    ];
+    const imageUrl = (path) => `${localizedPath(path, locale)}/opengraph-image/card`;
+
+    return (
+        <main style={{ background: vars.bg, color: vars.text, minHeight: "100vh", padding: "60px 40px", fontFamily: "'DM Sans', sans-serif" }}>
+            <div style={{ maxWidth: 1240, margin: "0 auto" }}>
+                <h1 style={{ fontFamily: "'Syne', sans-serif", fontSize: 32, fontWeight: 800, marginBottom: 12 }}>Open Graph preview</h1>
+                <p style={{ color: vars.textSecondary, lineHeight: 1.7, marginBottom: 32 }}>
+                    {pages.length} cards at 1200×630, shown at half size. Switch locale by changing the path prefix.
+                </p>
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(600px, 1fr))", gap: 32 }}>
+                    {pages.map((path) => (
+                        <figure key={path}>
+                            {/* Unoptimized, so the preview shows the generated PNG itself. */}
+                            <a href={imageUrl(path)}><Image src={imageUrl(path)} alt="" width={600} height={315} unoptimized style={{ display: "block", width: "100%", height: "auto", borderRadius: 12, border: `1px solid ${vars.border}` }} /></a>
+                            <figcaption style={{ marginTop: 8, fontFamily: "'JetBrains Mono', monospace", fontSize: 12, color: vars.textMuted }}>
+                                <a href={localizedPath(path, locale)} style={{ color: "inherit" }}>{localizedPath(path, locale)}</a>
+                            </figcaption>
+                        </figure>
+                    ))}
+                </div>
+            </div>
+        </main>
+    );
+}
@@ -0,0 +1,23 @@
+import { notFound } from "next/navigation";
+import { ogContentType, ogSize, projectCard } from "../../../lib/og";
+import { getProject } from "../../../lib/content";
+import { format } from "../../../lib/i18n/locale";
+import { getDictionary } from "../../../lib/i18n/dictionaries";
+
+// Drawn on each request from the current content, not at build time.
+export const dynamic = "force-dynamic";
+
+// Next also calls this without params while collecting static paths, when
+// only the id matters.
+export function generateImageMetadata({ params }) {
+    const project = params.slug && getProject(params.slug, params.locale);
+    const { caseStudy } = getDictionary(params.locale);
+    return [{ id: "card", alt: project ? format(caseStudy.imageAlt, { title: project.title }) : undefined, size: ogSize, contentType: ogContentType }];
+}
+
+export default async function Image({ params }) {
+    const { locale, slug } = await params;
+    const project = getProject(slug, locale);
+    if (!project) notFound();
+    return projectCard(project, getDictionary(locale));
+}
@@ -0,0 +1,174 @@
+import Image from "next/image";
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import JsonLd from "../../../components/JsonLd";
+import LanguageSwitcher from "../../../components/LanguageSwitcher";
+import { getProject, getProjects } from "../../../lib/content";
+import { breadcrumbJsonLd, projectJsonLd } from "../../../lib/structured-data";
+import { vars } from "../../../lib/themes";
+import { languageAlternates, localizedPath, localizedUrl, locales } from "../../../lib/site";
+import { format, openGraphLocales } from "../../../lib/i18n/locale";
+import { getDictionary } from "../../../lib/i18n/dictionaries";
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+    return getProjects().map((project) => ({ slug: project.slug }));
+}
+
+export async function generateMetadata({ params }) {
+    const { locale, slug } = await params;
+    const project = getProject(slug, locale);
+    if (!project) return {};
+
+    const { meta, caseStudy } = getDictionary(locale);
+    const title = format(caseStudy.title, { title: project.title });
+    const path = `/projects/${project.slug}`;
+    const url = localizedUrl(path, locale);
+    return {
+        title,
+        description: project.description,
+        keywords: project.tags,
+        alternates: { canonical: url, languages: languageAlternates(path) },
+        openGraph: {
+            type: "article",
+            locale: openGraphLocales[locale],
+            alternateLocale: locales.filter((other) => other !== locale).map((other) => openGraphLocales[other]),
+            url,
+            siteName: meta.siteName,
+            title,
+            description: project.description,
+        },
+        twitter: {
+            card: "summary_large_image",
+            title,
+            description: project.description,
+        },
+    };
+}
+
+// ─── CASE STUDY SECTION ─────────────────────────────────────────
+function CaseStudySection({ label, title, paragraphs }) {
+    return (
+        <section style={{ marginBottom: 56 }}>
+            <span style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 11, color: vars.accent, letterSpacing: 1.5, textTransform: "uppercase" }}>{label}</span>
+            <h2 style={{ fontFamily: "'Syne', sans-serif", fontSize: 28, fontWeight: 700, color: vars.text, marginTop: 8, marginBottom: 16 }}>{title}</h2>
+            {paragraphs.map((p, i) => (
+                <p key={i} style={{ fontFamily: "'DM Sans', sans-serif", fontSize: 16, color: vars.textSecondary, lineHeight: 1.8, marginBottom: 12 }}>{p}</p>
+            ))}
+        </section>
+    );
+}
+
+// ─── GALLERY ────────────────────────────────────────────────────
+function Gallery({ title, images }) {
+    return (
+        <section aria-label={title} style={{ marginBottom: 56 }}>
+            <h2 style={{ fontFamily: "'Syne', sans-serif", fontSize: 28, fontWeight: 700, color: vars.text, marginBottom: 20 }}>{title}</h2>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(280px, 1fr))", gap: 20 }}>
+                {images.map((image) => (
+                    <figure key={image.src} style={{ borderRadius: 16, overflow: "hidden", border: `1px solid ${vars.border}`, background: vars.bgCard }}>
+                        <a href={image.src} target="_blank" rel="noopener noreferrer">
+                            <Image src={image.src} alt={image.alt} width={image.width} height={image.height} style={{ width: "100%", height: "auto", display: "block" }} />
+                        </a>
+                        {image.caption && (
+                            <figcaption style={{ padding: "12px 16px", fontFamily: "'DM Sans', sans-serif", fontSize: 13, color: vars.textMuted }}>{image.caption}</figcaption>
+                        )}
+                    </figure>
+                ))}
+            </div>
+        </section>
+    );
+}
+
+// ─── PREV / NEXT NAV ────────────────────────────────────────────
+function PagerLink({ project, direction, label, locale }) {
+    if (!project) return <span />;
+    return (
+        <Link href={localizedPath(`/projects/${project.slug}`, locale)} style={{
+            flex: 1, maxWidth: 420, textDecoration: "none", textAlign: direction === "next" ? "right" : "left",
+            padding: "20px 24px", borderRadius: 16, border: `1px solid ${vars.border}`, background: vars.bgCard,
+        }}>
+            <span style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 11, color: vars.accent, letterSpacing: 1.5, textTransform: "uppercase" }}>
+                {label}
+            </span>
+            <div style={{ fontFamily: "'Syne', sans-serif", fontSize: 18, fontWeight: 700, color: vars.text, marginTop: 6 }}>{project.title}</div>
+        </Link>
+    );
+}
+
+// ─── PAGE ───────────────────────────────────────────────────────
+export default async function ProjectPage({ params }) {
+    const { locale, slug } = await params;
+    const projects = getProjects(locale);
+    const index = projects.findIndex((project) => project.slug === slug);
+    if (index === -1) notFound();
+
+    const project = projects[index];
+    const prev = projects[index - 1];
+    const next = projects[index + 1];
+    const { caseStudy } = project;
+    const { caseStudy: t, nav } = getDictionary(locale);
+    // The write-up speaks for the owner's work, so it is published only
+    // once they've approved it; in development drafts show with a note.
+    const showCaseStudy = Boolean(caseStudy.approvedAt) || process.env.NODE_ENV === "development";
+
+    return (
+        <main role="main" style={{ background: vars.bg, color: vars.text, minHeight: "100vh" }}>
+            <JsonLd data={projectJsonLd(project, locale)} />
+            <JsonLd data={breadcrumbJsonLd(locale, [
+                { name: nav.projects, url: `${localizedUrl("/", locale)}#projects` },
+                { name: project.title, url: localizedUrl(`/projects/${project.slug}`, locale) },
+            ])} />
+            <header style={{ background: project.gradient, padding: "120px 40px 80px", position: "relative", overflow: "hidden" }}>
+                <div style={{ position: "absolute", inset: 0, opacity: 0.06, backgroundImage: "linear-gradient(rgba(255,255,255,0.3) 1px, transparent 1px), linear-gradient(90deg, rgba(255,255,255,0.3) 1px, transparent 1px)", backgroundSize: "40px 40px" }} />
+                <div style={{ position: "relative", maxWidth: 800, margin: "0 auto" }}>
+                    <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 16 }}>
+                        <Link href={`${localizedPath("/", locale)}#projects`} style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 12, color: "rgba(255,255,255,0.6)", textDecoration: "none", letterSpacing: 1.5 }}>
+                            {t.allProjects}
+                        </Link>
+                        <LanguageSwitcher />
+                    </div>
+                    <h1 style={{ fontFamily: "'Syne', sans-serif", fontSize: "clamp(32px, 5vw, 56px)", fontWeight: 800, lineHeight: 1.1, letterSpacing: -1, color: "#fff", marginTop: 24, marginBottom: 16 }}>
+                        {project.title}
+                    </h1>
+                    <p style={{ fontFamily: "'DM Sans', sans-serif", fontSize: 17, color: "rgba(255,255,255,0.7)", lineHeight: 1.7, marginBottom: 32 }}>{project.description}</p>
+                    <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+                        {project.metrics.map((m) => (
+                            <div key={m.label} style={{ padding: "12px 20px", borderRadius: 12, backdropFilter: "blur(12px)", background: "rgba(0,0,0,0.3)", border: "1px solid rgba(255,255,255,0.1)" }}>
+                                <div style={{ fontFamily: "'Syne', sans-serif", fontSize: 22, fontWeight: 800, color: vars.accent }}>{m.value}</div>
+                                <div style={{ fontFamily: "'DM Sans', sans-serif", fontSize: 11, color: "rgba(255,255,255,0.5)", letterSpacing: 0.5, marginTop: 2 }}>{m.label}</div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </header>
+
+            <article style={{ maxWidth: 800, margin: "0 auto", padding: "80px 40px 40px" }}>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginBottom: 56 }}>
+                    {project.tags.map((tag) => (
+                        <span key={tag} style={{
+                            padding: "5px 12px", borderRadius: 50, fontSize: 11,
+                            fontFamily: "'JetBrains Mono', monospace", fontWeight: 500,
+                            background: vars.bgCard, border: `1px solid ${vars.border}`, color: vars.textSecondary,
+                        }}>{tag}</span>
+                    ))}
+                </div>
+                {showCaseStudy && !caseStudy.approvedAt && (
+                    <p style={{ padding: "14px 18px", borderRadius: 12, marginBottom: 40, fontFamily: "'DM Sans', sans-serif", fontSize: 14, color: vars.textSecondary, background: vars.bgCard, border: `1px dashed ${vars.border}` }}>
+                        Draft case study, hidden in production until the owner sets <code>caseStudy.approvedAt</code>.
+                    </p>
+                )}
+                {showCaseStudy && Object.entries(t.sections).map(([key, section]) => (
+                    <CaseStudySection key={key} label={section.label} title={section.title} paragraphs={caseStudy[key]} />
+                ))}
+                {project.gallery?.length > 0 && <Gallery title={t.gallery} images={project.gallery} />}
+            </article>
+
+            <nav aria-label={t.more} style={{ maxWidth: 800, margin: "0 auto", padding: "0 40px 120px", display: "flex", justifyContent: "space-between", gap: 20 }}>
+                <PagerLink project={prev} direction="prev" label={t.previous} locale={locale} />
+                <PagerLink project={next} direction="next" label={t.next} locale={locale} />
+            </nav>
+        </main>
+    );
+}
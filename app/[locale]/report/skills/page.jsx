@@ -0,0 +1,64 @@
+import { notFound } from "next/navigation";
+import { getExperience, getProjects, getSkillEvidence, getSkills } from "../../../lib/content";
+import { vars } from "../../../lib/themes";
+
+export const metadata = {
+    title: "Skill evidence report",
+    robots: { index: false, follow: false },
+};
+
+const cell = { padding: "10px 12px", borderBottom: `1px solid ${vars.border}`, textAlign: "left", verticalAlign: "top" };
+
+// Development tool only; production builds serve a 404 here. Lists every
+// skill no featured project is tagged with, so the skills section only
+// claims what the projects can back up, and project tags no skill lists
+// (often the same technology under another name, e.g. "Tailwind").
+export default function SkillEvidenceReportPage() {
+    if (process.env.NODE_ENV === "production") notFound();
+
+    const skills = getSkills();
+    const experience = getExperience();
+    const evidence = getSkillEvidence();
+    const unbacked = skills.flatMap((skill) =>
+        skill.items.filter((item) => !evidence[item].projects.length).map((item) => ({ category: skill.title, item, roles: evidence[item].roles }))
+    );
+    const listed = new Set(Object.keys(evidence).map((item) => item.toLowerCase()));
+    const unlistedTags = [...new Set(getProjects().flatMap((project) => project.tags))].filter((tag) => !listed.has(tag.toLowerCase()));
+
+    return (
+        <main style={{ background: vars.bg, color: vars.text, minHeight: "100vh", padding: "60px 40px", fontFamily: "'DM Sans', sans-serif" }}>
+            <div style={{ maxWidth: 860, margin: "0 auto" }}>
+                <h1 style={{ fontFamily: "'Syne', sans-serif", fontSize: 32, fontWeight: 800, marginBottom: 12 }}>Skill evidence report</h1>
+                <p style={{ color: vars.textSecondary, lineHeight: 1.7, marginBottom: 32 }}>
+                    {unbacked.length} of {Object.keys(evidence).length} skills are not tagged on any project in <code>content/projects/</code>.
+                    Tag a project with them, or drop them from <code>content/skills.json</code>. Roles are experience entries whose
+                    highlights name the skill.
+                </p>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14, marginBottom: 48 }}>
+                    <thead>
+                        <tr style={{ color: vars.textMuted, fontFamily: "'JetBrains Mono', monospace", fontSize: 12, textTransform: "uppercase" }}>
+                            <th style={cell}>Skill</th>
+                            <th style={cell}>Category</th>
+                            <th style={cell}>Roles</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {unbacked.map(({ category, item, roles }) => (
+                            <tr key={item}>
+                                <td style={cell}>{item}</td>
+                                <td style={{ ...cell, color: vars.textSecondary }}>{category}</td>
+                                <td style={{ ...cell, color: roles.length ? vars.textSecondary : vars.danger }}>
+                                    {roles.length ? roles.map((i) => experience[i].company).join(", ") : "none"}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <h2 style={{ fontFamily: "'Syne', sans-serif", fontSize: 22, fontWeight: 700, marginBottom: 12 }}>Project tags missing from skills</h2>
+                <p style={{ color: vars.textSecondary, lineHeight: 1.7 }}>
+                    {unlistedTags.length ? unlistedTags.join(", ") : "None."}
+                </p>
+            </div>
+        </main>
+    );
+}
@@ -0,0 +1,17 @@
+import { locales } from "../../lib/site";
+import { getResume, toJsonResume } from "../../lib/resume";
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+    return locales.map((locale) => ({ locale }));
+}
+
+// The résumé in the JSON Resume schema; `?variant=frontend` picks a
+// role-tailored version from content/resumes.json.
+export async function GET(request, { params }) {
+    const { locale } = await params;
+    const resume = getResume(locale, request.nextUrl.searchParams.get("variant"));
+    if (!resume) return Response.json({ error: "Unknown résumé variant" }, { status: 404 });
+    return Response.json(toJsonResume(resume));
+}
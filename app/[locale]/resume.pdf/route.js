@@ -0,0 +1,27 @@
+import { locales, person } from "../../lib/site";
+import { getResume } from "../../lib/resume";
+import { renderResumePdf } from "../../lib/resume-pdf";
+import { getDictionary } from "../../lib/i18n/dictionaries";
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+    return locales.map((locale) => ({ locale }));
+}
+
+// The résumé as a downloadable PDF; takes the same `?variant=` as
+// /resume.json.
+export async function GET(request, { params }) {
+    const { locale } = await params;
+    const resume = getResume(locale, request.nextUrl.searchParams.get("variant"));
+    if (!resume) return Response.json({ error: "Unknown résumé variant" }, { status: 404 });
+
+    const pdf = await renderResumePdf(resume, getDictionary(locale).resume);
+    const name = [person.name.toLowerCase().replace(/\s+/g, "-"), "resume", resume.variant, locale].filter(Boolean).join("-");
+    return new Response(pdf, {
+        headers: {
+            "Content-Type": "application/pdf",
+            "Content-Disposition": `attachment; filename="${name}.pdf"`,
+        },
+    });
+}
@@ -0,0 +1,23 @@
+import { notFound } from "next/navigation";
+import { ogContentType, ogSize, resumeCard } from "../../../lib/og";
+import { getResume } from "../../../lib/resume";
+import { format } from "../../../lib/i18n/locale";
+import { getDictionary } from "../../../lib/i18n/dictionaries";
+
+// Drawn on each request from the current content, not at build time.
+export const dynamic = "force-dynamic";
+
+// Next also calls this without params while collecting static paths, when
+// only the id matters.
+export function generateImageMetadata({ params }) {
+    const resume = params.variant && getResume(params.locale, params.variant);
+    const copy = getDictionary(params.locale).resume;
+    return [{ id: "card", alt: resume ? format(copy.variantTitle, { variant: resume.label }) : undefined, size: ogSize, contentType: ogContentType }];
+}
+
+export default async function Image({ params }) {
+    const { locale, variant } = await params;
+    const resume = getResume(locale, variant);
+    if (!resume) notFound();
+    return resumeCard(resume, getDictionary(locale));
+}
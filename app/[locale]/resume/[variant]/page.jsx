@@ -0,0 +1,22 @@
+import { notFound } from "next/navigation";
+import Resume, { resumeMetadata } from "../../../components/Resume";
+import { getResume, resumeVariantSlugs } from "../../../lib/resume";
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+    return resumeVariantSlugs().map((variant) => ({ variant }));
+}
+
+export async function generateMetadata({ params }) {
+    const { locale, variant } = await params;
+    const resume = getResume(locale, variant);
+    return resume ? resumeMetadata(resume) : {};
+}
+
+export default async function ResumeVariantPage({ params }) {
+    const { locale, variant } = await params;
+    const resume = getResume(locale, variant);
+    if (!resume) notFound();
+    return <Resume resume={resume} />;
+}
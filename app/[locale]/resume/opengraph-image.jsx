@@ -0,0 +1,15 @@
+import { ogContentType, ogSize, resumeCard } from "../../lib/og";
+import { getResume } from "../../lib/resume";
+import { getDictionary } from "../../lib/i18n/dictionaries";
+
+// Drawn on each request from the current content, not at build time.
+export const dynamic = "force-dynamic";
+
+export function generateImageMetadata({ params }) {
+    return [{ id: "card", alt: getDictionary(params.locale).resume.title, size: ogSize, contentType: ogContentType }];
+}
+
+export default async function Image({ params }) {
+    const { locale } = await params;
+    return resumeCard(getResume(locale), getDictionary(locale));
+}
@@ -0,0 +1,12 @@
+import Resume, { resumeMetadata } from "../../components/Resume";
+import { getResume } from "../../lib/resume";
+
+export async function generateMetadata({ params }) {
+    const { locale } = await params;
+    return resumeMetadata(getResume(locale));
+}
+
+export default async function ResumePage({ params }) {
+    const { locale } = await params;
+    return <Resume resume={getResume(locale)} />;
+}
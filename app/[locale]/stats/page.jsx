@@ -0,0 +1,150 @@
+import Link from "next/link";
+import { getStats } from "../../lib/analytics/report";
+import { alpha, vars } from "../../lib/themes";
+import { localizedPath } from "../../lib/site";
+
+export const dynamic = "force-dynamic";
+
+export const metadata = {
+    title: "Site stats",
+    robots: { index: false, follow: false },
+};
+
+const RANGES = [7, 30, 90];
+const DEFAULT_RANGE = 30;
+
+const mono = "'JetBrains Mono', monospace";
+const heading = { fontFamily: "'Syne', sans-serif", fontSize: 22, fontWeight: 700, marginBottom: 6 };
+const note = { color: vars.textMuted, fontSize: 14, lineHeight: 1.6, marginBottom: 20 };
+const card = { padding: "28px 32px", borderRadius: 20, background: vars.bgCard, border: `1px solid ${vars.border}`, marginBottom: 24 };
+
+function duration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+const percent = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : "–");
+
+// Visitors per day as bars, pageviews as the taller, fainter bar behind.
+function DailyChart({ daily }) {
+    const height = 160;
+    const max = Math.max(1, ...daily.map((day) => day.pageviews));
+    const slot = 1000 / daily.length;
+    const bar = (value) => (value / max) * height;
+    return (
+        <svg viewBox={`0 0 1000 ${height + 24}`} role="img" aria-label="Visitors and pageviews per day" style={{ width: "100%", height: "auto", display: "block" }}>
+            {daily.map((day, i) => (
+                <g key={day.day}>
+                    <title>{`${day.day}: ${day.visitors} visitors, ${day.pageviews} pageviews`}</title>
+                    <rect x={i * slot + slot * 0.15} width={slot * 0.7} y={height - bar(day.pageviews)} height={bar(day.pageviews)} rx={Math.min(4, slot * 0.2)} fill={alpha(vars.accent, 0.2)} />
+                    <rect x={i * slot + slot * 0.15} width={slot * 0.7} y={height - bar(day.visitors)} height={bar(day.visitors)} rx={Math.min(4, slot * 0.2)} fill={vars.accent} />
+                </g>
+            ))}
+            <line x1={0} x2={1000} y1={height} y2={height} stroke={vars.border} />
+            {[daily[0], daily[daily.length - 1]].map((day, i) => (
+                <text key={day.day} x={i ? 1000 : 0} y={height + 18} textAnchor={i ? "end" : "start"} fontFamily={mono} fontSize={12} fill={vars.textMuted}>{day.day}</text>
+            ))}
+        </svg>
+    );
+}
+
+// One labelled horizontal bar per row, scaled to the largest `value`.
+function BarList({ rows, empty = "Nothing recorded yet." }) {
+    if (!rows.length) return <p style={note}>{empty}</p>;
+    const max = Math.max(1, ...rows.map((row) => row.value));
+    return (
+        <ul style={{ listStyle: "none", display: "flex", flexDirection: "column", gap: 12 }}>
+            {rows.map((row) => (
+                <li key={row.label}>
+                    <div style={{ display: "flex", justifyContent: "space-between", gap: 16, fontSize: 14, marginBottom: 6 }}>
+                        <span style={{ fontFamily: mono }}>{row.label}</span>
+                        <span style={{ color: vars.textSecondary }}>{row.detail}</span>
+                    </div>
+                    <div style={{ height: 8, borderRadius: 4, background: alpha(vars.accent, 0.1) }}>
+                        <div style={{ width: `${(row.value / max) * 100}%`, height: "100%", borderRadius: 4, background: row.color ?? vars.accent }} />
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+// Owner-only (proxy.js asks for ADMIN_PASSWORD). Charts what the
+// analytics beacon recorded over the last `?days=` days.
+export default async function StatsPage({ params, searchParams }) {
+    const { locale } = await params;
+    const requested = Number((await searchParams).days);
+    const days = RANGES.includes(requested) ? requested : DEFAULT_RANGE;
+    const stats = await getStats(days);
+    const [visited] = stats.funnel;
+
+    return (
+        <main style={{ background: vars.bg, color: vars.text, minHeight: "100vh", padding: "60px 40px", fontFamily: "'DM Sans', sans-serif" }}>
+            <div style={{ maxWidth: 900, margin: "0 auto" }}>
+                <div style={{ display: "flex", flexWrap: "wrap", alignItems: "baseline", justifyContent: "space-between", gap: 16, marginBottom: 12 }}>
+                    <h1 style={{ fontFamily: "'Syne', sans-serif", fontSize: 32, fontWeight: 800 }}>Site stats</h1>
+                    <nav aria-label="Range" style={{ display: "flex", gap: 6 }}>
+                        {RANGES.map((range) => (
+                            <Link key={range} href={`${localizedPath("/stats", locale)}?days=${range}`} aria-current={range === days ? "page" : undefined} style={{
+                                padding: "6px 14px", borderRadius: 50, fontFamily: mono, fontSize: 12, textDecoration: "none",
+                                background: range === days ? alpha(vars.accent, 0.13) : "transparent",
+                                border: `1px solid ${range === days ? alpha(vars.accent, 0.4) : vars.border}`,
+                                color: range === days ? vars.accent : vars.textSecondary,
+                            }}>{range} days</Link>
+                        ))}
+                    </nav>
+                </div>
+                <p style={{ ...note, marginBottom: 32 }}>
+                    {stats.visitors} visitors and {stats.pageviews} pageviews since {stats.since}. Visitors are counted per day: there are no
+                    cookies, and the hash that tells them apart changes daily. Visitors with Do Not Track or Global Privacy Control on aren&apos;t counted.
+                </p>
+
+                <section style={card}>
+                    <h2 style={heading}>Daily visitors</h2>
+                    <p style={note}>Solid bars are visitors, faint ones pageviews.</p>
+                    <DailyChart daily={stats.daily} />
+                </section>
+
+                <section style={card}>
+                    <h2 style={heading}>Section dwell time</h2>
+                    <p style={note}>Median time each visitor spent with the section on screen while the tab was visible.</p>
+                    <BarList rows={stats.sections.map(({ section, visitors, medianMs }) => ({
+                        label: section, value: medianMs, detail: `${duration(medianMs)} median · ${visitors} visitors`,
+                    }))} />
+                </section>
+
+                <section style={card}>
+                    <h2 style={heading}>Contact funnel</h2>
+                    <p style={note}>Visitors reaching each step, as a share of everyone who visited.</p>
+                    <BarList rows={stats.funnel.map(({ step, visitors }) => ({
+                        label: step, value: visitors, detail: `${visitors} · ${percent(visitors, visited.visitors)}`,
+                    }))} />
+                    <h3 style={{ ...heading, fontSize: 16, marginTop: 28 }}>Form errors</h3>
+                    <BarList empty="No errors." rows={stats.errors.map(({ reason, visitors }) => ({
+                        label: reason, value: visitors, detail: `${visitors} visitors`, color: vars.danger,
+                    }))} />
+                </section>
+
+                <section style={card}>
+                    <h2 style={heading}>Calls to action</h2>
+                    <p style={note}>Hero button clicks, and how many of those visitors sent a message the same day.</p>
+                    <BarList rows={stats.ctas.map(({ cta, visitors, converted }) => ({
+                        label: cta, value: visitors, detail: `${visitors} clicked · ${converted} sent a message (${percent(converted, visitors)})`,
+                    }))} />
+                </section>
+
+                <section style={card}>
+                    <h2 style={heading}>Project opens</h2>
+                    <p style={note}>Visitors who opened a case study from the projects grid.</p>
+                    <BarList rows={stats.projects.map(({ project, visitors }) => ({ label: project, value: visitors, detail: `${visitors} visitors` }))} />
+                </section>
+
+                <section style={card}>
+                    <h2 style={heading}>Referrers</h2>
+                    <p style={note}>Other sites visitors arrived from, top ten.</p>
+                    <BarList empty="No referrals yet." rows={stats.referrers.map(({ referrer, visitors }) => ({ label: referrer, value: visitors, detail: `${visitors} visitors` }))} />
+                </section>
+            </div>
+        </main>
+    );
+}
@@ -0,0 +1,12 @@
+import { NextResponse } from "next/server";
+import { checkAdmin } from "../../../lib/admin-auth";
+import { retryDueDeliveries } from "../../../lib/contact/retry";
+
+// Runs the delivery retry queue once, for hosts without a long-running
+// server (instrumentation.js does this every minute otherwise). Point a
+// cron at it with the admin password as Basic auth.
+export async function POST(request) {
+    const denied = checkAdmin(request);
+    if (denied) return denied;
+    return NextResponse.json({ ok: true, ...(await retryDueDeliveries()) });
+}
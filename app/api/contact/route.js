@@ -0,0 +1,73 @@
+import { NextResponse, after } from "next/server";
+import { validateContact } from "../../lib/contact/validation";
+import { checkSubmission } from "../../lib/contact/spam";
+import { issueFormToken, readFormToken, releaseFormToken } from "../../lib/contact/form-token";
+import { DeliveryError, getDeliveryAdapter } from "../../lib/contact/delivery";
+import { saveMessage } from "../../lib/contact/inbox";
+import { deliverNow, firstRetryAt } from "../../lib/contact/retry";
+import { clientIp } from "../../lib/rate-limit";
+import { defaultLocale } from "../../lib/site";
+import { isLocale } from "../../lib/i18n/locale";
+import { getDictionary } from "../../lib/i18n/dictionaries";
+
+// A fresh form token (form-token.js); the form fetches one when it mounts.
+export async function GET() {
+    return NextResponse.json({ token: await issueFormToken() }, { headers: { "Cache-Control": "no-store" } });
+}
+
+export async function POST(request) {
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return NextResponse.json({ ok: false, error: "Request body must be JSON." }, { status: 400 });
+    }
+
+    // The form sends its page locale; unknown values fall back to English.
+    const messages = getDictionary(body?.locale).contact.errors;
+    const { values, errors, valid } = validateContact(body, messages);
+    if (!valid) return NextResponse.json({ ok: false, errors }, { status: 422 });
+
+    const ip = clientIp(request);
+    const token = await readFormToken(body?.formToken);
+    const verdict = checkSubmission({ values, body, ip, messages, token });
+    if (!verdict.ok) {
+        console.warn(`[contact] rejected (${verdict.reason}) ip=${ip} email=${values.email}`);
+        if (verdict.silent) return NextResponse.json({ ok: true });
+        if (verdict.status === 429) {
+            return NextResponse.json(
+                { ok: false, error: messages.rateLimited },
+                { status: 429, headers: { "Retry-After": String(verdict.retryAfter) } }
+            );
+        }
+        if (verdict.field) return NextResponse.json({ ok: false, errors: { [verdict.field]: verdict.error } }, { status: verdict.status });
+        return NextResponse.json({ ok: false, error: verdict.error }, { status: verdict.status });
+    }
+
+    // Once the message is in the inbox the sender gets a success straight
+    // away; delivery runs after the response, behind any queue run in
+    // progress, and a failure is only retried later.
+    let saved;
+    try {
+        saved = await saveMessage(values, { locale: isLocale(body.locale) ? body.locale : defaultLocale, retryAt: firstRetryAt() });
+    } catch (err) {
+        console.error("[contact] could not save to the inbox:", err.message);
+    }
+    if (saved) {
+        after(() => deliverNow(saved.id).catch((err) => {
+            console.error(`[contact] ${saved.id} left queued for retry:`, err.message);
+        }));
+        return NextResponse.json({ ok: true });
+    }
+
+    try {
+        await getDeliveryAdapter().send(values);
+    } catch (err) {
+        if (!(err instanceof DeliveryError)) throw err;
+        console.error("[contact] delivery failed:", err.message, err.cause ?? "");
+        releaseFormToken(token);
+        return NextResponse.json({ ok: false, error: messages.deliveryFailed }, { status: 502 });
+    }
+
+    return NextResponse.json({ ok: true });
+}
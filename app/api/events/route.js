@@ -0,0 +1,38 @@
+import { NextResponse } from "next/server";
+import { validateEvents } from "../../lib/analytics/events";
+import { recordEvents } from "../../lib/analytics/store";
+import { clientIp, createRateLimiter } from "../../lib/rate-limit";
+
+// Crawlers that run JavaScript would otherwise show up as visitors.
+const BOT_AGENT = /bot|crawl|spider|slurp|headless|lighthouse|preview/i;
+
+// A visitor flushes at most every few seconds; this is well above that.
+const limiter = createRateLimiter({ limit: 60, windowMs: 60 * 1000 });
+
+const noContent = () => new Response(null, { status: 204 });
+
+// The analytics beacon (lib/analytics/client.js). Browsers don't read the
+// response, so bots and rate-limited clients get the same 204 as everyone.
+export async function POST(request) {
+    const userAgent = request.headers.get("user-agent") ?? "";
+    if (!userAgent || BOT_AGENT.test(userAgent)) return noContent();
+
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return NextResponse.json({ ok: false, error: "Request body must be JSON." }, { status: 400 });
+    }
+    const { events, error } = validateEvents(body);
+    if (error) return NextResponse.json({ ok: false, error }, { status: 400 });
+
+    const ip = clientIp(request);
+    if (!limiter.hit(ip).allowed) return noContent();
+
+    try {
+        await recordEvents(events, { ip, userAgent });
+    } catch (err) {
+        console.error("[analytics] could not record events:", err.message);
+    }
+    return noContent();
+}
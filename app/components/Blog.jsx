@@ -0,0 +1,107 @@
+import Link from "next/link";
+import LanguageSwitcher from "./LanguageSwitcher";
+import { feedAlternates, feedPath, feeds, postPath, tagPath } from "../lib/blog";
+import { alpha, vars } from "../lib/themes";
+import { languageAlternates, localizedPath, localizedUrl, locales } from "../lib/site";
+import { format, formatDate, openGraphLocales } from "../lib/i18n/locale";
+import { getDictionary } from "../lib/i18n/dictionaries";
+
+// ─── BLOG ───────────────────────────────────────────────────────
+// Chrome and lists shared by the blog index, tag pages and posts.
+
+// Every blog page links the feeds; `openGraph` extras (article dates, tags)
+// come from the post page.
+export function blogMetadata({ locale, path, title, description, openGraph }) {
+    const { meta } = getDictionary(locale);
+    const url = localizedUrl(path, locale);
+    return {
+        title,
+        description,
+        alternates: { canonical: url, languages: languageAlternates(path), types: feedAlternates(locale) },
+        openGraph: {
+            type: "website",
+            locale: openGraphLocales[locale],
+            alternateLocale: locales.filter((other) => other !== locale).map((other) => openGraphLocales[other]),
+            url,
+            siteName: meta.siteName,
+            title,
+            description,
+            ...openGraph,
+        },
+        twitter: { card: "summary_large_image", title, description },
+    };
+}
+
+const label = { fontFamily: "'JetBrains Mono', monospace", fontSize: 12, letterSpacing: 1.5, color: vars.textMuted, textDecoration: "none" };
+
+export function BlogShell({ locale, back, children }) {
+    const { blog } = getDictionary(locale);
+    return (
+        <main role="main" style={{ background: vars.bg, color: vars.text, minHeight: "100vh", padding: "64px 24px 120px" }}>
+            <div style={{ maxWidth: 760, margin: "0 auto" }}>
+                <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 16, marginBottom: 56 }}>
+                    <Link href={back ?? localizedPath("/", locale)} style={label}>{back ? blog.allPosts : blog.back}</Link>
+                    <LanguageSwitcher />
+                </div>
+                {children}
+            </div>
+        </main>
+    );
+}
+
+export function TagLinks({ tags, locale, current }) {
+    return (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+            {tags.map((tag) => (
+                <Link key={tag} href={localizedPath(tagPath(tag), locale)} aria-current={tag === current ? "page" : undefined} style={{
+                    padding: "5px 12px", borderRadius: 50, fontSize: 11, textDecoration: "none",
+                    fontFamily: "'JetBrains Mono', monospace", fontWeight: 500,
+                    background: tag === current ? alpha(vars.accent, 0.13) : vars.bgCard,
+                    border: `1px solid ${tag === current ? alpha(vars.accent, 0.4) : vars.border}`,
+                    color: tag === current ? vars.accent : vars.textSecondary,
+                }}>{tag}</Link>
+            ))}
+        </div>
+    );
+}
+
+// Date and reading time, as shown under a post title.
+export function PostMeta({ post, locale }) {
+    const { blog } = getDictionary(locale);
+    return (
+        <p style={{ ...label, display: "flex", flexWrap: "wrap", gap: "4px 16px" }}>
+            <time dateTime={post.date}>{formatDate(locale, post.date)}</time>
+            <span>{format(blog.readingTime, { minutes: post.readingTime })}</span>
+            {post.updatedAt !== post.date && <span>{format(blog.updated, { date: formatDate(locale, post.updatedAt) })}</span>}
+        </p>
+    );
+}
+
+export function PostList({ posts, locale }) {
+    return (
+        <ol style={{ listStyle: "none", display: "flex", flexDirection: "column", gap: 20 }}>
+            {posts.map((post) => (
+                <li key={post.slug} lang={post.language === locale ? undefined : post.language} style={{ padding: "28px 32px", borderRadius: 20, background: vars.bgCard, border: `1px solid ${vars.border}` }}>
+                    <PostMeta post={post} locale={locale} />
+                    <h2 style={{ fontFamily: "'Syne', sans-serif", fontSize: 24, fontWeight: 700, lineHeight: 1.25, margin: "10px 0 10px" }}>
+                        <Link href={localizedPath(postPath(post.slug), locale)} style={{ color: vars.text, textDecoration: "none" }}>{post.title}</Link>
+                    </h2>
+                    <p style={{ fontFamily: "'DM Sans', sans-serif", fontSize: 15, color: vars.textSecondary, lineHeight: 1.7, marginBottom: 16 }}>{post.description}</p>
+                    <TagLinks tags={post.tags} locale={locale} />
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+export function FeedLinks({ locale }) {
+    const { blog } = getDictionary(locale);
+    return (
+        <p style={{ ...label, display: "flex", flexWrap: "wrap", gap: "4px 16px" }}>
+            <span>{blog.subscribe}:</span>
+            {Object.entries(feeds).map(([kind, { type }]) => (
+                <a key={kind} href={feedPath(kind, locale)} type={type} style={{ color: vars.accent, textDecoration: "none" }}>{blog.feeds[kind]}</a>
+            ))}
+        </p>
+    );
+}
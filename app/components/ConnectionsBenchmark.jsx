@@ -0,0 +1,212 @@
+"use client";
+
+import { useRef, useState } from "react";
+import * as THREE from "three";
+import { createConnectionLines } from "../lib/connection-lines";
+import { supportsWebGL } from "../lib/scene-quality";
+import { vars } from "../lib/themes";
+
+// ─── CONNECTIONS BENCHMARK ──────────────────────────────────────
+// Renders the same drifting nodes with the hero's old connection code
+// (a new THREE.Line and cloned material per linked pair, rebuilt on every
+// update) and with the single LineSegments buffer, and reports draw calls
+// and CPU frame time (connection update + render) for each.
+
+const NODE_COUNTS = [12, 40, 120];
+const WARMUP_FRAMES = 30;
+const MEASURED_FRAMES = 240;
+const LINK_DISTANCE = 3;
+
+const strategies = {
+    perPairLines: {
+        label: "Per-pair THREE.Line (before)",
+        create(scene, nodes, color) {
+            const lineMaterial = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.15 });
+            const lines = [];
+            const clear = () => {
+                lines.forEach((line) => {
+                    scene.remove(line);
+                    line.geometry.dispose();
+                    line.material.dispose();
+                });
+                lines.length = 0;
+            };
+            return {
+                update() {
+                    clear();
+                    forEachLinkedPair(nodes, (a, b, dist) => {
+                        const geometry = new THREE.BufferGeometry().setFromPoints([a.position, b.position]);
+                        const line = new THREE.Line(geometry, lineMaterial.clone());
+                        line.material.opacity = lineMaterial.opacity * (1 - dist / LINK_DISTANCE);
+                        scene.add(line);
+                        lines.push(line);
+                    });
+                },
+                dispose() {
+                    clear();
+                    lineMaterial.dispose();
+                },
+            };
+        },
+    },
+    lineSegments: {
+        label: "Single LineSegments buffer (after)",
+        create(scene, nodes, color) {
+            const connections = createConnectionLines((nodes.length * (nodes.length - 1)) / 2);
+            connections.material.color.set(color);
+            connections.material.opacity = 0.15;
+            scene.add(connections.lines);
+            return {
+                update() {
+                    connections.begin();
+                    forEachLinkedPair(nodes, (a, b, dist) => connections.add(a.position, b.position, 1 - dist / LINK_DISTANCE));
+                    connections.commit();
+                },
+                dispose() {
+                    scene.remove(connections.lines);
+                    connections.lines.geometry.dispose();
+                    connections.material.dispose();
+                },
+            };
+        },
+    },
+};
+
+function forEachLinkedPair(nodes, callback) {
+    for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+            const dist = nodes[i].position.distanceTo(nodes[j].position);
+            if (dist < LINK_DISTANCE) callback(nodes[i], nodes[j], dist);
+        }
+    }
+}
+
+// Nodes orbit the origin like the hero's, but aren't drawn themselves,
+// so the draw call count is the connections' alone.
+function createNodes(count) {
+    const nodes = Array.from({ length: count }, (_, i) => {
+        const node = new THREE.Object3D();
+        node.userData = { angle: (i / count) * Math.PI * 2, radius: 2 + Math.random() * 1.5, yOffset: (Math.random() - 0.5) * 2, speed: 0.2 + Math.random() * 0.3 };
+        return node;
+    });
+    const move = (frame) => nodes.forEach((node) => {
+        const { angle, radius, yOffset, speed } = node.userData;
+        const a = angle + frame * speed * 0.01;
+        node.position.set(Math.cos(a) * radius, yOffset + Math.sin(frame * 0.02 + angle) * 0.5, Math.sin(a) * radius);
+    });
+    return { nodes, move };
+}
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+async function measure(renderer, scene, camera, strategyKey, nodeCount, color) {
+    const field = createNodes(nodeCount);
+    const connections = strategies[strategyKey].create(scene, field.nodes, color);
+    const times = [];
+    let drawCalls = 0;
+
+    for (let frame = 0; frame < WARMUP_FRAMES + MEASURED_FRAMES; frame++) {
+        await nextFrame();
+        field.move(frame);
+        const start = performance.now();
+        connections.update();
+        renderer.render(scene, camera);
+        const elapsed = performance.now() - start;
+        if (frame >= WARMUP_FRAMES) {
+            times.push(elapsed);
+            drawCalls = renderer.info.render.calls;
+        }
+    }
+
+    connections.dispose();
+    times.sort((a, b) => a - b);
+    return {
+        strategy: strategies[strategyKey].label,
+        nodeCount,
+        drawCalls,
+        average: times.reduce((sum, t) => sum + t, 0) / times.length,
+        p95: times[Math.floor(times.length * 0.95)],
+    };
+}
+
+export default function ConnectionsBenchmark() {
+    const canvasRef = useRef(null);
+    const [status, setStatus] = useState("idle"); // idle | running | done | unsupported
+    const [results, setResults] = useState([]);
+
+    const run = async () => {
+        if (!supportsWebGL()) {
+            setStatus("unsupported");
+            return;
+        }
+        setStatus("running");
+        setResults([]);
+        const renderer = new THREE.WebGLRenderer({ canvas: canvasRef.current, antialias: true });
+        renderer.setSize(640, 360, false);
+        const scene = new THREE.Scene();
+        const camera = new THREE.PerspectiveCamera(60, 640 / 360, 0.1, 100);
+        camera.position.set(0, 1, 7);
+        camera.lookAt(0, 0, 0);
+        // The canvas is styled `color: vars.accent`, so this is the active theme's accent.
+        const color = new THREE.Color(getComputedStyle(canvasRef.current).color);
+
+        try {
+            for (const nodeCount of NODE_COUNTS) {
+                for (const strategyKey of Object.keys(strategies)) {
+                    const result = await measure(renderer, scene, camera, strategyKey, nodeCount, color);
+                    setResults((prev) => [...prev, result]);
+                }
+            }
+            setStatus("done");
+        } finally {
+            renderer.dispose();
+        }
+    };
+
+    const cell = { padding: "10px 14px", borderBottom: `1px solid ${vars.border}`, textAlign: "left" };
+
+    return (
+        <main style={{ background: vars.bg, color: vars.text, minHeight: "100vh", padding: "60px 40px", fontFamily: "'DM Sans', sans-serif" }}>
+            <div style={{ maxWidth: 860, margin: "0 auto" }}>
+                <h1 style={{ fontFamily: "'Syne', sans-serif", fontSize: 32, fontWeight: 800, marginBottom: 12 }}>Connection lines benchmark</h1>
+                <p style={{ color: vars.textSecondary, lineHeight: 1.7, marginBottom: 24 }}>
+                    Renders {NODE_COUNTS.join(", ")} drifting nodes, linking every pair closer than {LINK_DISTANCE} units, first with a
+                    THREE.Line per pair rebuilt each frame and then with the hero&apos;s single LineSegments buffer. Frame time is the CPU
+                    cost of updating connections and rendering, over {MEASURED_FRAMES} frames after {WARMUP_FRAMES} of warm-up.
+                </p>
+                <button onClick={run} disabled={status === "running"} style={{
+                    padding: "12px 28px", borderRadius: 50, border: "none", cursor: status === "running" ? "wait" : "pointer",
+                    background: vars.accent, color: vars.onAccent, fontWeight: 700, fontSize: 14, marginBottom: 24,
+                }}>
+                    {status === "running" ? "Running…" : "Run benchmark"}
+                </button>
+                {status === "unsupported" && <p role="alert" style={{ color: vars.danger, marginBottom: 24 }}>WebGL is not available in this browser.</p>}
+                <canvas ref={canvasRef} width={640} height={360} style={{ display: "block", width: "100%", maxWidth: 640, aspectRatio: "16 / 9", borderRadius: 12, border: `1px solid ${vars.border}`, background: "#000", color: vars.accent, marginBottom: 32 }} />
+                {results.length > 0 && (
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                        <thead>
+                            <tr style={{ color: vars.textMuted, fontFamily: "'JetBrains Mono', monospace", fontSize: 12, textTransform: "uppercase" }}>
+                                <th style={cell}>Nodes</th>
+                                <th style={cell}>Strategy</th>
+                                <th style={cell}>Draw calls</th>
+                                <th style={cell}>Avg frame</th>
+                                <th style={cell}>p95 frame</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {results.map((result) => (
+                                <tr key={`${result.nodeCount}-${result.strategy}`}>
+                                    <td style={cell}>{result.nodeCount}</td>
+                                    <td style={cell}>{result.strategy}</td>
+                                    <td style={cell}>{result.drawCalls}</td>
+                                    <td style={cell}>{result.average.toFixed(2)} ms</td>
+                                    <td style={cell}>{result.p95.toFixed(2)} ms</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </main>
+    );
+}
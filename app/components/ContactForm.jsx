@@ -0,0 +1,233 @@
+"use client";
+
+import { useState, useEffect, useRef, useSyncExternalStore } from "react";
+import { alpha, vars } from "../lib/themes";
+import { HONEYPOT_FIELD, LIMITS, validateContact } from "../lib/contact/validation";
+import { useI18n } from "../lib/i18n/provider";
+import { track } from "../lib/analytics/client";
+
+const DRAFT_KEY = "portfolio-contact-draft";
+const EMPTY = { name: "", email: "", message: "" };
+
+// Labels and placeholders come from the dictionary's `contact.form.fields`.
+const FIELDS = [
+    { name: "name", type: "text", autoComplete: "name" },
+    { name: "email", type: "email", autoComplete: "email" },
+    { name: "message", rows: 5 },
+];
+
+// Time-to-submit is measured from a token the server signs
+// (lib/contact/form-token.js), not from a clock the browser reports.
+// Resolves to null when the request fails.
+function fetchFormToken() {
+    return fetch("/api/contact")
+        .then((res) => res.json())
+        .then((data) => data.token ?? null)
+        .catch(() => null);
+}
+
+// The saved draft is read like the theme and motion preferences: nothing
+// on the server, the localStorage copy once hydrated, no effect needed.
+function readSavedDraft() {
+    try {
+        return localStorage.getItem(DRAFT_KEY);
+    } catch {
+        return null;
+    }
+}
+
+function subscribeDraft(listener) {
+    const onStorage = (e) => { if (e.key === DRAFT_KEY) listener(); };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+}
+
+function parseDraft(saved) {
+    try {
+        const draft = JSON.parse(saved ?? "null");
+        return draft && typeof draft === "object" ? { ...EMPTY, ...draft } : null;
+    } catch {
+        return null;
+    }
+}
+
+// ─── CONTACT FORM ───────────────────────────────────────────────
+// Validates inline with the same rules as /api/contact, keeps a draft in
+// localStorage until the message is delivered, and never clears what the
+// visitor typed on failure.
+export default function ContactForm() {
+    const { locale, t } = useI18n();
+    const copy = t.contact.form;
+    const draft = parseDraft(useSyncExternalStore(subscribeDraft, readSavedDraft, () => null));
+    const [edits, setEdits] = useState(null); // null until the visitor types
+    const formData = edits ?? draft ?? EMPTY;
+    const [touched, setTouched] = useState({});
+    const [serverErrors, setServerErrors] = useState({});
+    const [formStatus, setFormStatus] = useState("idle"); // idle | sending | success | error
+    const [statusMessage, setStatusMessage] = useState("");
+    const honeypotRef = useRef(null);
+    const formToken = useRef(null); // promise of the token for the next send
+    const tracked = useRef(false);
+    const fieldRefs = useRef({});
+
+    useEffect(() => {
+        formToken.current = fetchFormToken();
+    }, []);
+
+    const updateField = (name, value) => {
+        const next = { ...formData, [name]: value };
+        if (!tracked.current) {
+            tracked.current = true;
+            track("form_start");
+        }
+        setEdits(next);
+        setServerErrors((prev) => {
+            const rest = { ...prev };
+            delete rest[name];
+            return rest;
+        });
+        try {
+            localStorage.setItem(DRAFT_KEY, JSON.stringify(next));
+        } catch {
+            // Storage can be full or disabled; the form still works without a draft.
+        }
+    };
+
+    const { errors: clientErrors } = validateContact(formData, t.contact.errors);
+    const errorFor = (name) => serverErrors[name] ?? (touched[name] ? clientErrors[name] : undefined);
+
+    const submit = async () => {
+        const { valid, errors } = validateContact(formData, t.contact.errors);
+        if (!valid) {
+            setTouched({ name: true, email: true, message: true });
+            setFormStatus("idle");
+            setStatusMessage(Object.keys(errors).length === 1 ? copy.fixField : copy.fixFields);
+            fieldRefs.current[Object.keys(errors)[0]]?.focus();
+            return;
+        }
+        setFormStatus("sending");
+        setStatusMessage(copy.sending);
+        track("form_submit");
+        try {
+            // A send right after the page loads waits for the token rather
+            // than going without one; a failed fetch gets one more try.
+            let token = await (formToken.current ??= fetchFormToken());
+            if (!token) token = await (formToken.current = fetchFormToken());
+            const res = await fetch("/api/contact", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    ...formData,
+                    [HONEYPOT_FIELD]: honeypotRef.current?.value ?? "",
+                    formToken: token,
+                    locale,
+                }),
+            });
+            const data = await res.json();
+            // `ok` only comes back once the message is in the inbox or
+            // delivered (spam.js's silent drops are for bots), so only
+            // then is the draft let go.
+            if (data.ok) {
+                track("form_success");
+                setFormStatus("success");
+                setStatusMessage(copy.sent);
+                setEdits(EMPTY);
+                setTouched({});
+                localStorage.removeItem(DRAFT_KEY);
+                formToken.current = fetchFormToken(); // the sent message spent the old one
+                setTimeout(() => setFormStatus("idle"), 5000);
+            } else if (data.errors) {
+                track("form_error", { reason: "invalid" });
+                setServerErrors(data.errors);
+                setFormStatus("idle");
+                setStatusMessage(copy.fixFields);
+                fieldRefs.current[Object.keys(data.errors)[0]]?.focus();
+            } else {
+                track("form_error", { reason: res.status === 429 ? "rate_limited" : res.status === 425 ? "too_fast" : "delivery" });
+                setFormStatus("error");
+                setStatusMessage(data.error ?? copy.failed);
+                // A missing, expired or spent token (400/409); have a fresh
+                // one ready for the next try.
+                if (res.status === 400 || res.status === 409) formToken.current = fetchFormToken();
+            }
+        } catch {
+            track("form_error", { reason: "network" });
+            setFormStatus("error");
+            setStatusMessage(copy.networkError);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        submit();
+    };
+
+    const inputStyle = (invalid) => ({
+        padding: "16px 20px", borderRadius: 14, width: "100%",
+        background: vars.bgInput, border: `1px solid ${invalid ? vars.danger : vars.border}`,
+        color: vars.text, fontFamily: "'DM Sans', sans-serif", fontSize: 15, transition: "all 0.3s",
+    });
+
+    return (
+        <form onSubmit={handleSubmit} noValidate aria-label={copy.label} style={{ display: "flex", flexDirection: "column", gap: 18 }}>
+            <div aria-hidden="true" style={{ position: "absolute", left: -10000, width: 1, height: 1, overflow: "hidden" }}>
+                <label>{copy.honeypot} <input ref={honeypotRef} type="text" name={HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" /></label>
+            </div>
+            {FIELDS.map((field) => {
+                const error = errorFor(field.name);
+                const id = `contact-${field.name}`;
+                const props = {
+                    id,
+                    ref: (el) => { fieldRefs.current[field.name] = el; },
+                    name: field.name,
+                    placeholder: copy.fields[field.name].placeholder,
+                    value: formData[field.name],
+                    maxLength: LIMITS[field.name].max,
+                    required: true,
+                    "aria-invalid": error ? true : undefined,
+                    "aria-describedby": error ? `${id}-error` : undefined,
+                    onChange: (e) => updateField(field.name, e.target.value),
+                    onBlur: () => setTouched((prev) => ({ ...prev, [field.name]: true })),
+                };
+                return (
+                    <div key={field.name}>
+                        <label htmlFor={id} className="sr-only">{copy.fields[field.name].label}</label>
+                        {field.rows
+                            ? <textarea {...props} rows={field.rows} style={{ ...inputStyle(error), resize: "vertical" }} />
+                            : <input {...props} type={field.type} autoComplete={field.autoComplete} style={inputStyle(error)} />}
+                        {error && (
+                            <p id={`${id}-error`} style={{ fontFamily: "'DM Sans', sans-serif", fontSize: 13, color: vars.danger, marginTop: 6 }}>{error}</p>
+                        )}
+                    </div>
+                );
+            })}
+            <div style={{ display: "flex", alignItems: "center", gap: 16, flexWrap: "wrap" }}>
+                <button
+                    type="submit"
+                    disabled={formStatus === "sending"}
+                    style={{
+                        padding: "16px 40px", borderRadius: 50, border: "none", cursor: formStatus === "sending" ? "wait" : "pointer",
+                        background: formStatus === "success" ? vars.successGradient
+                            : formStatus === "error" ? vars.dangerGradient
+                                : `linear-gradient(135deg, ${vars.accent}, ${vars.accentBlue})`,
+                        color: vars.onAccent,
+                        fontFamily: "'DM Sans', sans-serif", fontSize: 15, fontWeight: 700,
+                        letterSpacing: 0.5, transition: "all 0.4s",
+                        opacity: formStatus === "sending" ? 0.7 : 1,
+                    }}
+                    onMouseEnter={e => { if (formStatus === "idle") { e.target.style.transform = "translateY(-2px)"; e.target.style.boxShadow = `0 10px 40px ${alpha(vars.accent, 0.27)}`; } }}
+                    onMouseLeave={e => { e.target.style.transform = "none"; e.target.style.boxShadow = "none"; }}
+                >
+                    {copy.buttons[formStatus]}
+                </button>
+                <p role="status" aria-live="polite" style={{
+                    fontFamily: "'DM Sans', sans-serif", fontSize: 14,
+                    color: formStatus === "error" ? vars.danger : formStatus === "success" ? vars.success : vars.textMuted,
+                }}>
+                    {statusMessage || (edits === null && draft ? copy.draftRestored : "")}
+                    {formStatus === "error" && ` ${copy.draftSaved}`}
+                </p>
+            </div>
+        </form>
+    );
+}
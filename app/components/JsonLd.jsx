@@ -0,0 +1,6 @@
+import { serializeJsonLd } from "../lib/structured-data";
+
+// One JSON-LD node from structured-data.js, validated while rendering.
+export default function JsonLd({ data }) {
+    return <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: serializeJsonLd(data) }} />;
+}
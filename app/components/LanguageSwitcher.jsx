@@ -0,0 +1,62 @@
+"use client";
+
+import { Suspense } from "react";
+import Link from "next/link";
+import { usePathname, useSearchParams } from "next/navigation";
+import { alpha, vars } from "../lib/themes";
+import { locales } from "../lib/site";
+import { format, localeNames, rememberLocale } from "../lib/i18n/locale";
+import { useI18n } from "../lib/i18n/provider";
+
+// Links to the current page, query included, in every locale. Choosing
+// one also saves it in a cookie, which proxy.js prefers over
+// Accept-Language next time.
+function Switcher({ search, className, style }) {
+    const { locale, t } = useI18n();
+    const pathname = usePathname();
+    const rest = pathname.replace(/^\/[^/]+/, "");
+
+    return (
+        <nav aria-label={t.language.label} className={className} style={{
+            display: "flex", gap: 2, padding: 3,
+            background: vars.bgCard, border: `1px solid ${vars.border}`, borderRadius: 50,
+            ...style,
+        }}>
+            {locales.map((option) => (
+                <Link
+                    key={option}
+                    href={`/${option}${rest}${search ? `?${search}` : ""}`}
+                    hrefLang={option}
+                    lang={option}
+                    onClick={() => rememberLocale(option)}
+                    aria-current={option === locale ? "page" : undefined}
+                    title={option === locale ? localeNames[option] : format(t.language.switchTo, { language: localeNames[option] })}
+                    style={{
+                        background: option === locale ? alpha(vars.accent, 0.13) : "transparent",
+                        borderRadius: 50, padding: "5px 9px", textDecoration: "none",
+                        fontFamily: "'JetBrains Mono', monospace", fontSize: 11, letterSpacing: 1, textTransform: "uppercase", lineHeight: 1,
+                        color: option === locale ? vars.accent : vars.textSecondary, transition: "background 0.3s, color 0.3s",
+                    }}
+                >
+                    {option}
+                    <span className="sr-only"> — {localeNames[option]}</span>
+                </Link>
+            ))}
+        </nav>
+    );
+}
+
+function SwitcherWithQuery(props) {
+    const search = useSearchParams().toString();
+    return <Switcher {...props} search={search} />;
+}
+
+// Static pages have no query when prerendered, so the links start without
+// one and pick it up once the page hydrates.
+export default function LanguageSwitcher(props) {
+    return (
+        <Suspense fallback={<Switcher {...props} search="" />}>
+            <SwitcherWithQuery {...props} />
+        </Suspense>
+    );
+}
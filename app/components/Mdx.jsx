@@ -0,0 +1,59 @@
+import { compileMDX } from "next-mdx-remote/rsc";
+import { highlight } from "sugar-high";
+import { lang } from "sugar-high/lang";
+import { alpha, vars } from "../lib/themes";
+
+// ─── MDX ────────────────────────────────────────────────────────
+// Renders a post body with the site's typography. Fenced code blocks are
+// highlighted on the server; sugar-high colors tokens through `--sh-*`
+// variables, which point at the theme's own so code follows the theme toggle.
+
+const codeColors = {
+    "--sh-keyword": vars.accentPink,
+    "--sh-string": vars.accent,
+    "--sh-class": vars.accentBlue,
+    "--sh-entity": vars.accentBlue,
+    "--sh-property": vars.accentBlue,
+    "--sh-jsxliterals": vars.accentGreen,
+    "--sh-identifier": vars.text,
+    "--sh-sign": vars.textSecondary,
+    "--sh-comment": vars.textMuted,
+};
+
+const mono = "'JetBrains Mono', monospace";
+const prose = { fontFamily: "'DM Sans', sans-serif", fontSize: 17, color: vars.textSecondary, lineHeight: 1.8, marginBottom: 20 };
+
+// ```js fences arrive as <pre><code className="language-js">.
+function CodeBlock({ children }) {
+    const { className = "", children: source } = children.props;
+    const language = lang(className.replace(/^language-/, "")) ?? "plaintext";
+    return (
+        <pre style={{
+            ...codeColors, fontFamily: mono, fontSize: 13.5, lineHeight: 1.7, overflowX: "auto",
+            padding: "20px 24px", marginBottom: 24, borderRadius: 16, background: vars.bgCard, border: `1px solid ${vars.border}`,
+        }}>
+            <code dangerouslySetInnerHTML={{ __html: highlight(String(source).replace(/\n$/, ""), { lang: language }) }} />
+        </pre>
+    );
+}
+
+const components = {
+    h2: (props) => <h2 style={{ fontFamily: "'Syne', sans-serif", fontSize: 28, fontWeight: 700, color: vars.text, marginTop: 48, marginBottom: 16 }} {...props} />,
+    h3: (props) => <h3 style={{ fontFamily: "'Syne', sans-serif", fontSize: 21, fontWeight: 700, color: vars.text, marginTop: 36, marginBottom: 12 }} {...props} />,
+    p: (props) => <p style={prose} {...props} />,
+    ul: (props) => <ul style={{ ...prose, paddingLeft: 24 }} {...props} />,
+    ol: (props) => <ol style={{ ...prose, paddingLeft: 24 }} {...props} />,
+    li: (props) => <li style={{ marginBottom: 6 }} {...props} />,
+    strong: (props) => <strong style={{ color: vars.text, fontWeight: 700 }} {...props} />,
+    a: ({ href, ...props }) => (
+        <a href={href} style={{ color: vars.accent }} {...(/^https?:/.test(href) ? { target: "_blank", rel: "noopener noreferrer" } : {})} {...props} />
+    ),
+    blockquote: (props) => <blockquote style={{ borderLeft: `3px solid ${vars.accent}`, paddingLeft: 20, marginBottom: 20, fontStyle: "italic" }} {...props} />,
+    code: (props) => <code style={{ fontFamily: mono, fontSize: "0.88em", padding: "2px 6px", borderRadius: 6, background: alpha(vars.accent, 0.08), color: vars.text }} {...props} />,
+    pre: CodeBlock,
+};
+
+export default async function Mdx({ source }) {
+    const { content } = await compileMDX({ source, components });
+    return content;
+}
@@ -0,0 +1,30 @@
+"use client";
+
+import { useEffect } from "react";
+import { usePathname } from "next/navigation";
+import { track } from "../lib/analytics/client";
+
+// Owner-only pages (admin-auth.js) aren't counted.
+const UNTRACKED = /^\/[a-z]{2}\/(stats|admin)(\/|$)/;
+
+let landed = false;
+
+// Records a pageview on load and on every client-side navigation. The
+// referrer is only sent with the landing view, as a bare host name, and only
+// when it's another site.
+export default function PageView() {
+    const pathname = usePathname();
+
+    useEffect(() => {
+        if (UNTRACKED.test(pathname)) return;
+        let referrer;
+        if (!landed && document.referrer) {
+            const { hostname } = new URL(document.referrer);
+            if (hostname !== location.hostname) referrer = hostname.toLowerCase();
+        }
+        landed = true;
+        track("pageview", referrer ? { referrer } : {});
+    }, [pathname]);
+
+    return null;
+}
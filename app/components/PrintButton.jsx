@@ -0,0 +1,6 @@
+"use client";
+
+// The one interactive bit of the otherwise server-rendered résumé page.
+export default function PrintButton({ children, style }) {
+    return <button type="button" onClick={() => window.print()} style={style}>{children}</button>;
+}
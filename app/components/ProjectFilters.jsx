@@ -0,0 +1,107 @@
+"use client";
+
+import { useState } from "react";
+import { alpha, vars } from "../lib/themes";
+import { format } from "../lib/i18n/locale";
+import { useI18n } from "../lib/i18n/provider";
+import { emptyFilters, hasFilters, tagCounts } from "../lib/project-filters";
+
+// Tags used by fewer projects stay behind the "+N more" chip.
+const MIN_PROJECTS_FOR_CHIP = 2;
+
+const controlStyle = {
+    padding: "12px 18px", borderRadius: 14,
+    background: vars.bgInput, border: `1px solid ${vars.border}`,
+    color: vars.text, fontFamily: "'DM Sans', sans-serif", fontSize: 14,
+};
+
+function Chip({ pressed, onClick, children }) {
+    return (
+        <button type="button" onClick={onClick} aria-pressed={pressed} style={{
+            padding: "6px 14px", borderRadius: 50, cursor: "pointer",
+            fontFamily: "'JetBrains Mono', monospace", fontSize: 11, fontWeight: 500,
+            background: pressed ? alpha(vars.accentViolet, 0.18) : vars.bgCard,
+            border: `1px solid ${pressed ? vars.accentViolet : vars.border}`,
+            color: pressed ? vars.text : vars.textSecondary,
+            transition: "background 0.3s, border-color 0.3s, color 0.3s",
+        }}>{children}</button>
+    );
+}
+
+// ─── PROJECT FILTERS ────────────────────────────────────────────
+// Search box, industry facet and technology chips above the projects
+// grid. Stateless apart from the chip overflow: `filters` come from the
+// URL (project-filters.js) and every change goes through `onChange`.
+export default function ProjectFilters({ projects, filters, onChange, resultCount }) {
+    const { t } = useI18n();
+    const copy = t.projects.filters;
+    const [showAllTags, setShowAllTags] = useState(false);
+
+    const tags = tagCounts(projects);
+    const hiddenTags = tags.filter(([tag, count]) => count < MIN_PROJECTS_FOR_CHIP && !filters.tech.includes(tag));
+    const visibleTags = showAllTags ? tags : tags.filter(([tag]) => !hiddenTags.some(([hidden]) => hidden === tag));
+    const industries = [...new Set(projects.map((project) => project.industry))]
+        .map((key) => [key, t.projects.industries[key] ?? key])
+        .sort(([, a], [, b]) => a.localeCompare(b));
+
+    const update = (changes) => onChange({ ...filters, ...changes });
+    const toggleTag = (tag) => update({
+        tech: filters.tech.includes(tag) ? filters.tech.filter((selected) => selected !== tag) : [...filters.tech, tag],
+    });
+
+    return (
+        <div role="search" aria-label={copy.label} style={{ display: "flex", flexDirection: "column", gap: 16, marginBottom: 36 }}>
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+                <label htmlFor="project-search" className="sr-only">{copy.search}</label>
+                <input
+                    id="project-search"
+                    type="search"
+                    value={filters.query}
+                    placeholder={copy.searchPlaceholder}
+                    onChange={(e) => update({ query: e.target.value })}
+                    style={{ ...controlStyle, flex: "1 1 260px" }}
+                />
+                <label htmlFor="project-industry" className="sr-only">{copy.industry}</label>
+                <select
+                    id="project-industry"
+                    value={filters.industry}
+                    onChange={(e) => update({ industry: e.target.value })}
+                    style={{ ...controlStyle, flex: "0 1 220px", cursor: "pointer" }}
+                >
+                    <option value="">{copy.allIndustries}</option>
+                    {industries.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+            </div>
+            <div role="group" aria-label={copy.technologies} style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                {visibleTags.map(([tag, count]) => (
+                    <Chip key={tag} pressed={filters.tech.includes(tag)} onClick={() => toggleTag(tag)}>
+                        {tag} <span style={{ opacity: 0.6 }}>{count}</span>
+                    </Chip>
+                ))}
+                {hiddenTags.length > 0 && (
+                    <button type="button" onClick={() => setShowAllTags(!showAllTags)} aria-expanded={showAllTags} style={{
+                        padding: "6px 14px", borderRadius: 50, cursor: "pointer", background: "none",
+                        border: `1px dashed ${vars.borderHover}`, color: vars.textMuted,
+                        fontFamily: "'JetBrains Mono', monospace", fontSize: 11, fontWeight: 500,
+                    }}>
+                        {showAllTags ? copy.fewer : format(copy.more, { count: hiddenTags.length })}
+                    </button>
+                )}
+            </div>
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, minHeight: 24 }}>
+                <p role="status" aria-live="polite" style={{ fontFamily: "'DM Sans', sans-serif", fontSize: 13, color: vars.textSubtle }}>
+                    {format(copy.results, { count: resultCount, total: projects.length })}
+                </p>
+                {hasFilters(filters) && (
+                    <button type="button" onClick={() => onChange(emptyFilters)} style={{
+                        background: "none", border: "none", cursor: "pointer", padding: 0,
+                        fontFamily: "'DM Sans', sans-serif", fontSize: 13, color: vars.accent,
+                        textDecoration: "underline", textUnderlineOffset: 3,
+                    }}>
+                        {copy.clear}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
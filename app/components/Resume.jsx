@@ -0,0 +1,180 @@
+import Link from "next/link";
+import JsonLd from "./JsonLd";
+import LanguageSwitcher from "./LanguageSwitcher";
+import PrintButton from "./PrintButton";
+import { getResumeVariants } from "../lib/content";
+import { resumeFilePath, resumePath } from "../lib/resume";
+import { breadcrumbJsonLd } from "../lib/structured-data";
+import { alpha, vars } from "../lib/themes";
+import { languageAlternates, localizedPath, localizedUrl, locales, person } from "../lib/site";
+import { format, openGraphLocales } from "../lib/i18n/locale";
+import { getDictionary } from "../lib/i18n/dictionaries";
+
+// Shared by the full résumé and its variants.
+export function resumeMetadata(resume) {
+    const { meta, resume: copy } = getDictionary(resume.locale);
+    const title = resume.variant ? format(copy.variantTitle, { variant: resume.label }) : copy.title;
+    const path = resumePath(resume.variant);
+    const url = localizedUrl(path, resume.locale);
+    return {
+        title,
+        description: copy.description,
+        alternates: {
+            canonical: url,
+            languages: languageAlternates(path),
+            types: {
+                "application/pdf": resumeFilePath("pdf", resume.locale, resume.variant),
+                "application/json": resumeFilePath("json", resume.locale, resume.variant),
+            },
+        },
+        openGraph: {
+            type: "profile",
+            locale: openGraphLocales[resume.locale],
+            alternateLocale: locales.filter((other) => other !== resume.locale).map((other) => openGraphLocales[other]),
+            url,
+            siteName: meta.siteName,
+            title,
+            description: copy.description,
+        },
+    };
+}
+
+// Printed: no toolbar, no sheet chrome, entries kept whole across pages.
+// Colors switch to the print theme in themeCss().
+const printCss = `
+    @page { size: A4; margin: 14mm; }
+    @media print {
+        .resume-toolbar { display: none !important; }
+        .resume-page { padding: 0 !important; }
+        .resume-sheet { max-width: none !important; padding: 0 !important; border: none !important; box-shadow: none !important; }
+        .resume-entry { break-inside: avoid; }
+        .resume-sheet a { text-decoration: none !important; }
+    }
+`;
+
+const toolbarButton = {
+    padding: "8px 18px", borderRadius: 50, cursor: "pointer", textDecoration: "none",
+    fontFamily: "'DM Sans', sans-serif", fontSize: 13, fontWeight: 500,
+    background: "transparent", border: `1px solid ${vars.border}`, color: vars.textSecondary,
+};
+
+function Section({ title, children }) {
+    return (
+        <section style={{ marginTop: 32 }}>
+            <h2 style={{
+                fontFamily: "'JetBrains Mono', monospace", fontSize: 11, fontWeight: 500, letterSpacing: 1.5, textTransform: "uppercase",
+                color: vars.text, paddingBottom: 6, marginBottom: 16, borderBottom: `1px solid ${vars.accent}`,
+            }}>{title}</h2>
+            {children}
+        </section>
+    );
+}
+
+// ─── RÉSUMÉ ─────────────────────────────────────────────────────
+// The /resume page: the résumé model from resume.js on a sheet, with a
+// toolbar to switch versions, print or download it as PDF / JSON Resume.
+export default function Resume({ resume }) {
+    const { locale } = resume;
+    const copy = getDictionary(locale).resume;
+    const versions = [{ slug: undefined, label: copy.full }, ...getResumeVariants(locale)];
+    const trail = [{ name: copy.link, url: localizedUrl(resumePath(), locale) }];
+    if (resume.variant) trail.push({ name: resume.label, url: localizedUrl(resumePath(resume.variant), locale) });
+
+    return (
+        <main role="main" className="resume-page" style={{ background: vars.bg, color: vars.text, minHeight: "100vh", padding: "48px 24px 96px" }}>
+            <style>{printCss}</style>
+            <JsonLd data={breadcrumbJsonLd(locale, trail)} />
+            <div className="resume-toolbar" style={{ maxWidth: 820, margin: "0 auto 24px", display: "flex", flexWrap: "wrap", alignItems: "center", justifyContent: "space-between", gap: 16 }}>
+                <Link href={localizedPath("/", locale)} style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 12, color: vars.textMuted, textDecoration: "none", letterSpacing: 1.5 }}>
+                    {copy.back}
+                </Link>
+                <LanguageSwitcher />
+                <nav aria-label={copy.versions} style={{ display: "flex", gap: 6, flexWrap: "wrap", flexBasis: "100%" }}>
+                    {versions.map(({ slug, label }) => {
+                        const current = slug === resume.variant;
+                        return (
+                            <Link key={label} href={localizedPath(resumePath(slug), locale)} aria-current={current ? "page" : undefined} style={{
+                                ...toolbarButton,
+                                background: current ? alpha(vars.accent, 0.13) : "transparent",
+                                color: current ? vars.accent : vars.textSecondary,
+                            }}>{label}</Link>
+                        );
+                    })}
+                    <span style={{ flex: 1 }} />
+                    <PrintButton style={toolbarButton}>{copy.print}</PrintButton>
+                    <a href={resumeFilePath("pdf", locale, resume.variant)} download style={{ ...toolbarButton, background: vars.accent, border: "none", color: vars.onAccent, fontWeight: 700 }}>
+                        {copy.downloadPdf}
+                    </a>
+                    <a href={resumeFilePath("json", locale, resume.variant)} type="application/json" style={toolbarButton}>{copy.downloadJson}</a>
+                </nav>
+            </div>
+
+            <article className="resume-sheet" style={{
+                maxWidth: 820, margin: "0 auto", padding: "56px 64px",
+                background: vars.bgCard, border: `1px solid ${vars.border}`, borderRadius: 20,
+                fontFamily: "'DM Sans', sans-serif", fontSize: 14, lineHeight: 1.6, color: vars.textSecondary,
+            }}>
+                <header>
+                    <h1 style={{ fontFamily: "'Syne', sans-serif", fontSize: 36, fontWeight: 800, letterSpacing: -1, color: vars.text, lineHeight: 1.1 }}>{person.name}</h1>
+                    <p style={{ fontFamily: "'Syne', sans-serif", fontSize: 18, fontWeight: 600, color: vars.accent, marginTop: 6 }}>{resume.title}</p>
+                    <p style={{ display: "flex", flexWrap: "wrap", gap: "4px 18px", marginTop: 12, fontSize: 13 }}>
+                        <a href={`mailto:${person.email}`} style={{ color: "inherit" }}>{person.email}</a>
+                        <a href={localizedUrl("/", locale)} style={{ color: "inherit" }}>{localizedUrl("/", locale).replace(/^https:\/\//, "")}</a>
+                        <a href={`https://github.com/${person.github}`} style={{ color: "inherit" }}>github.com/{person.github}</a>
+                        <span>{person.location.city}, {person.location.countryCode}</span>
+                    </p>
+                </header>
+
+                <Section title={copy.sections.summary}>
+                    <p style={{ color: vars.text }}>{resume.summary}</p>
+                </Section>
+
+                <Section title={copy.sections.experience}>
+                    {resume.experience.map(({ company, role, period, highlights }) => (
+                        <div key={company} className="resume-entry" style={{ marginBottom: 22 }}>
+                            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 16, flexWrap: "wrap" }}>
+                                <h3 style={{ fontFamily: "'Syne', sans-serif", fontSize: 16, fontWeight: 700, color: vars.text }}>{role}</h3>
+                                <span style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 11, letterSpacing: 1 }}>{period}</span>
+                            </div>
+                            <p style={{ marginBottom: 6 }}>{company}</p>
+                            <ul style={{ paddingLeft: 18 }}>
+                                {highlights.map((highlight) => <li key={highlight} style={{ marginBottom: 3 }}>{highlight}</li>)}
+                            </ul>
+                        </div>
+                    ))}
+                </Section>
+
+                <Section title={copy.sections.projects}>
+                    {resume.projects.map(({ slug, title, description, tags }) => (
+                        <div key={slug} className="resume-entry" style={{ marginBottom: 16 }}>
+                            <h3 style={{ fontFamily: "'Syne', sans-serif", fontSize: 15, fontWeight: 700 }}>
+                                <Link href={localizedPath(`/projects/${slug}`, locale)} style={{ color: vars.text, textDecoration: "none" }}>{title}</Link>
+                            </h3>
+                            <p>{description}</p>
+                            <p style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 11, color: vars.textMuted }}>{tags.join(" · ")}</p>
+                        </div>
+                    ))}
+                </Section>
+
+                <Section title={copy.sections.skills}>
+                    {resume.skills.map(({ title, items }) => (
+                        <p key={title} style={{ marginBottom: 6 }}>
+                            <strong style={{ color: vars.text, fontWeight: 700 }}>{title}:</strong> {items.join(", ")}
+                        </p>
+                    ))}
+                </Section>
+
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(240px, 1fr))", columnGap: 40 }}>
+                    <Section title={copy.sections.education}>
+                        <p>{person.education}</p>
+                    </Section>
+                    <Section title={copy.sections.languages}>
+                        {resume.languages.map(({ language, fluency }) => (
+                            <p key={language}><strong style={{ color: vars.text, fontWeight: 700 }}>{language}</strong> — {fluency}</p>
+                        ))}
+                    </Section>
+                </div>
+            </article>
+        </main>
+    );
+}
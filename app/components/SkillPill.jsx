@@ -0,0 +1,131 @@
+"use client";
+
+import { useEffect, useEffectEvent, useId, useRef } from "react";
+import { vars } from "../lib/themes";
+import { plural } from "../lib/i18n/locale";
+import { useI18n } from "../lib/i18n/provider";
+
+const pillStyle = (color) => ({
+    padding: "6px 14px", borderRadius: 50, fontSize: 12,
+    fontFamily: "'DM Sans', sans-serif", fontWeight: 500,
+    background: `${color}12`, border: `1px solid ${color}25`, color,
+    letterSpacing: 0.3,
+});
+
+const listHeadingStyle = {
+    fontFamily: "'JetBrains Mono', monospace", fontSize: 10, letterSpacing: 1.5,
+    textTransform: "uppercase", color: vars.textSubtle, marginBottom: 8,
+};
+
+// ─── SKILL PILL ─────────────────────────────────────────────────
+// One technology in a skill card. When a project or role backs it up the
+// pill shows its project count and opens a popover listing them; picking
+// a project calls `onShowProjects(slugs, slug)` so the page can scroll to
+// that card and highlight every card using the skill. `open` is owned by
+// the card so only one of its pills is open at a time.
+export default function SkillPill({ item, color, evidence, projects, experience, open, onOpenChange, onShowProjects }) {
+    const { locale, t } = useI18n();
+    const copy = t.skills.evidence;
+    const ref = useRef(null);
+    const buttonRef = useRef(null);
+    const popoverId = useId();
+
+    const used = projects.filter((project) => evidence?.projects.includes(project.slug));
+    const roles = (evidence?.roles ?? []).map((i) => experience[i]);
+
+    // The card passes a new `onOpenChange` each render; reading it through
+    // an effect event keeps the listeners attached while the popover is open.
+    const close = useEffectEvent(() => onOpenChange(false));
+
+    useEffect(() => {
+        if (!open) return;
+        const onPointerDown = (e) => { if (!ref.current?.contains(e.target)) close(); };
+        const onKeyDown = (e) => {
+            if (e.key !== "Escape") return;
+            close();
+            buttonRef.current?.focus();
+        };
+        document.addEventListener("pointerdown", onPointerDown);
+        document.addEventListener("keydown", onKeyDown);
+        return () => {
+            document.removeEventListener("pointerdown", onPointerDown);
+            document.removeEventListener("keydown", onKeyDown);
+        };
+    }, [open]);
+
+    if (!used.length && !roles.length) return <span style={pillStyle(color)}>{item}</span>;
+
+    const show = (slug) => {
+        onOpenChange(false);
+        onShowProjects(used.map((project) => project.slug), slug);
+    };
+
+    return (
+        <span ref={ref} style={{ position: "relative", display: "inline-flex" }}>
+            <button ref={buttonRef} type="button" onClick={() => onOpenChange(!open)} aria-expanded={open} aria-controls={popoverId} style={{
+                ...pillStyle(color), cursor: "pointer",
+                display: "inline-flex", alignItems: "center", gap: 6,
+                background: open ? `${color}26` : `${color}12`, transition: "background 0.3s",
+            }}>
+                {item}
+                {used.length > 0 && (
+                    <span aria-hidden="true" style={{
+                        minWidth: 18, padding: "1px 5px", borderRadius: 50, fontSize: 10, lineHeight: "14px",
+                        fontFamily: "'JetBrains Mono', monospace", textAlign: "center",
+                        background: `${color}26`, color,
+                    }}>{used.length}</span>
+                )}
+                <span className="sr-only">, {plural(locale, copy.projectCount, used.length)}</span>
+            </button>
+            {open && (
+                <div id={popoverId} role="dialog" aria-label={item} style={{
+                    position: "absolute", top: "calc(100% + 8px)", left: 0, zIndex: 10,
+                    width: 280, padding: 18, borderRadius: 14,
+                    background: vars.bg, border: `1px solid ${color}44`,
+                    boxShadow: `0 20px 60px ${vars.cardShadow}`,
+                    fontFamily: "'DM Sans', sans-serif", fontSize: 13, textAlign: "left",
+                }}>
+                    <p style={listHeadingStyle}>{copy.projects}</p>
+                    {used.length ? (
+                        <ul style={{ listStyle: "none", display: "flex", flexDirection: "column", gap: 2, marginBottom: roles.length ? 16 : 12 }}>
+                            {used.map((project) => (
+                                <li key={project.slug}>
+                                    <button type="button" onClick={() => show(project.slug)} style={{
+                                        width: "100%", padding: "6px 8px", borderRadius: 8, textAlign: "left",
+                                        background: "none", border: "none", cursor: "pointer",
+                                        fontFamily: "inherit", fontSize: 13, color: vars.text,
+                                    }} onMouseEnter={e => e.currentTarget.style.background = vars.bgCardHover} onMouseLeave={e => e.currentTarget.style.background = "none"}>
+                                        {project.title}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p style={{ color: vars.textMuted, marginBottom: 16 }}>{copy.noProjects}</p>
+                    )}
+                    {roles.length > 0 && (
+                        <>
+                            <p style={listHeadingStyle}>{copy.roles}</p>
+                            <ul style={{ listStyle: "none", display: "flex", flexDirection: "column", gap: 6, marginBottom: used.length ? 12 : 0 }}>
+                                {roles.map(({ company, role }) => (
+                                    <li key={company} style={{ color: vars.textSecondary, lineHeight: 1.4 }}>
+                                        <span style={{ color: vars.text }}>{role}</span> · {company}
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                    {used.length > 0 && (
+                        <button type="button" onClick={() => show(used[0].slug)} style={{
+                            background: "none", border: "none", cursor: "pointer", padding: 0,
+                            fontFamily: "inherit", fontSize: 13, color,
+                            textDecoration: "underline", textUnderlineOffset: 3,
+                        }}>
+                            {copy.showAll}
+                        </button>
+                    )}
+                </div>
+            )}
+        </span>
+    );
+}
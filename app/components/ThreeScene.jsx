@@ -0,0 +1,883 @@
+"use client";
+
+import { useEffect, useEffectEvent, useRef, useState, useSyncExternalStore } from "react";
+import * as THREE from "three";
+import { alpha, themes, vars } from "../lib/themes";
+import { createConnectionLines } from "../lib/connection-lines";
+import { createHeroInput, requestTiltPermission, tiltNeedsPermission } from "../lib/hero-input";
+import { useI18n } from "../lib/i18n/provider";
+import { detectQualityTier, lowerTier, qualityTiers, rememberTier, supportsWebGL } from "../lib/scene-quality";
+
+// ─── CUSTOM SHADERS ─────────────────────────────────────────────
+const glowVertexShader = `
+    varying vec3 vNormal;
+    varying vec3 vPosition;
+    uniform float uTime;
+
+    void main() {
+        vNormal = normalize(normalMatrix * normal);
+        vPosition = position;
+
+        // Morphing effect
+        vec3 pos = position;
+        float displacement = sin(pos.x * 3.0 + uTime) * sin(pos.y * 3.0 + uTime) * sin(pos.z * 3.0 + uTime) * 0.1;
+        pos += normal * displacement;
+
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+    }
+`;
+
+const glowFragmentShader = `
+    varying vec3 vNormal;
+    varying vec3 vPosition;
+    uniform float uTime;
+    uniform vec3 uColor1;
+    uniform vec3 uColor2;
+
+    void main() {
+        float intensity = pow(0.7 - dot(vNormal, vec3(0.0, 0.0, 1.0)), 2.0);
+        vec3 color = mix(uColor1, uColor2, sin(uTime * 0.5) * 0.5 + 0.5);
+        gl_FragColor = vec4(color, 1.0) * intensity * 1.5;
+    }
+`;
+
+const particleVertexShader = `
+    attribute float aScale;
+    attribute float aRandomness;
+    uniform float uTime;
+    uniform float uSize;
+    uniform vec3 uColor1;
+    uniform vec3 uColor2;
+    varying vec3 vColor;
+
+    void main() {
+        vec4 modelPosition = modelMatrix * vec4(position, 1.0);
+
+        // Spiral motion
+        float angle = uTime * 0.2 + aRandomness * 6.28;
+        float radius = length(modelPosition.xz);
+        modelPosition.x = cos(angle + radius * 0.5) * radius;
+        modelPosition.z = sin(angle + radius * 0.5) * radius;
+        modelPosition.y += sin(uTime + aRandomness * 10.0) * 0.3;
+
+        vec4 viewPosition = viewMatrix * modelPosition;
+        gl_Position = projectionMatrix * viewPosition;
+        gl_PointSize = uSize * aScale * (1.0 / -viewPosition.z);
+
+        // Color based on position
+        vColor = mix(uColor1, uColor2, modelPosition.y * 0.2 + 0.5);
+    }
+`;
+
+const particleFragmentShader = `
+    uniform float uAlpha;
+    varying vec3 vColor;
+
+    void main() {
+        float dist = length(gl_PointCoord - vec2(0.5));
+        if (dist > 0.5) discard;
+
+        float alpha = 1.0 - smoothstep(0.0, 0.5, dist);
+        gl_FragColor = vec4(vColor, alpha * uAlpha);
+    }
+`;
+
+const ringVertexShader = `
+    uniform float uTime;
+    varying vec2 vUv;
+    varying float vElevation;
+
+    void main() {
+        vUv = uv;
+        vec3 pos = position;
+
+        // Wave effect on ring
+        float wave = sin(pos.x * 10.0 + uTime * 2.0) * 0.05;
+        wave += sin(pos.z * 10.0 + uTime * 2.0) * 0.05;
+        pos.y += wave;
+        vElevation = wave;
+
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+    }
+`;
+
+const ringFragmentShader = `
+    uniform float uTime;
+    uniform vec3 uColor;
+    varying vec2 vUv;
+    varying float vElevation;
+
+    void main() {
+        float alpha = sin(vUv.x * 50.0 + uTime * 3.0) * 0.3 + 0.5;
+        alpha *= 0.6;
+        vec3 color = uColor + vElevation * 2.0;
+        gl_FragColor = vec4(color, alpha);
+    }
+`;
+
+// ─── FRAME PACING ───────────────────────────────────────────────
+// `interval` is the minimum ms between rendered frames (0 = display rate);
+// an average frame time above `slowerThan` drops to the next level.
+const FRAME_RATES = [
+    { interval: 0, slowerThan: 1000 / 45 },
+    { interval: 1000 / 30, slowerThan: 1000 / 24 },
+    { interval: 1000 / 20, slowerThan: Infinity },
+];
+const SAMPLE_FRAMES = 60;
+const RECOVER_AFTER_MS = 15000;
+const MAX_DELTA = 0.1; // seconds; avoids a jump after a long stall
+const SLOW_SAMPLES_BEFORE_DOWNGRADE = 3;
+
+const SHOW_STATS = process.env.NODE_ENV === "development";
+const THEME_TRANSITION_S = 0.6;
+const CONNECTION_FADE_DISTANCE = 6; // scene units at which a link is faintest
+
+// ─── PALETTES ───────────────────────────────────────────────────
+// A theme's `scene` tokens with colors parsed, so two palettes can be
+// blended frame by frame during a theme transition.
+const COLOR_KEYS = ["primary", "secondary", "tertiary", "highlight", "ambient"];
+const NUMBER_KEYS = ["ambientIntensity", "coreEmissive", "coreOpacity", "nodeEmissive", "lineOpacity", "particleSize", "particleAlpha", "shapeEmissive"];
+
+function readPalette(name) {
+    const tokens = themes[name].scene;
+    return {
+        ...Object.fromEntries(COLOR_KEYS.map((key) => [key, new THREE.Color(tokens[key])])),
+        ...Object.fromEntries(NUMBER_KEYS.map((key) => [key, tokens[key]])),
+        lightIntensity: [...tokens.lightIntensity],
+    };
+}
+
+function blendPalette(from, to, t) {
+    const mix = (a, b) => a + (b - a) * t;
+    return {
+        ...Object.fromEntries(COLOR_KEYS.map((key) => [key, from[key].clone().lerp(to[key], t)])),
+        ...Object.fromEntries(NUMBER_KEYS.map((key) => [key, mix(from[key], to[key])])),
+        lightIntensity: from.lightIntensity.map((value, i) => mix(value, to.lightIntensity[i])),
+    };
+}
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2);
+
+function disposeObject(object) {
+    object.traverse((child) => {
+        child.geometry?.dispose();
+        [].concat(child.material ?? []).forEach((material) => material.dispose());
+    });
+}
+
+// ─── STATIC FALLBACK ────────────────────────────────────────────
+// A CSS rendition of the scene (glowing core inside three tilted orbits)
+// drawn from theme variables. It is what the server renders and what
+// no-JS visitors see, and it stays up whenever WebGL can't run.
+const fallbackOrbits = [
+    { size: 62, tilt: "rotateX(65deg) rotateY(0deg)", color: vars.accent, duration: 18 },
+    { size: 78, tilt: "rotateX(-60deg) rotateY(50deg)", color: vars.accentPink, duration: 26 },
+    { size: 94, tilt: "rotateX(70deg) rotateY(-45deg)", color: vars.accentViolet, duration: 34 },
+];
+
+function HeroFallback({ hidden }) {
+    return (
+        <div aria-hidden="true" style={{
+            position: "absolute", inset: 0, display: "flex", alignItems: "center", justifyContent: "center",
+            pointerEvents: "none", opacity: hidden ? 0 : 1, transition: "opacity 0.8s ease",
+        }}>
+            <div style={{ position: "relative", width: "min(80vw, 560px)", aspectRatio: "1", perspective: 900 }}>
+                <div style={{
+                    position: "absolute", inset: "28%", borderRadius: "50%",
+                    background: `radial-gradient(circle, ${alpha(vars.accent, 0.45)} 0%, ${alpha(vars.accentViolet, 0.25)} 45%, transparent 70%)`,
+                    animation: "pulse 6s ease-in-out infinite",
+                }} />
+                {fallbackOrbits.map((orbit) => (
+                    <div key={orbit.size} style={{
+                        position: "absolute", inset: `${(100 - orbit.size) / 2}%`, transform: orbit.tilt, transformStyle: "preserve-3d",
+                    }}>
+                        <div style={{
+                            width: "100%", height: "100%", borderRadius: "50%",
+                            border: `1px solid ${alpha(orbit.color, 0.45)}`, borderTopColor: orbit.color,
+                            animation: `hero-orbit ${orbit.duration}s linear infinite`,
+                        }} />
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+const noSubscribe = () => () => {};
+
+// Shown only where tilt needs an explicit permission prompt (iOS).
+function TiltButton() {
+    const { t } = useI18n();
+    const needsPermission = useSyncExternalStore(noSubscribe, tiltNeedsPermission, () => false);
+    const [answered, setAnswered] = useState(false);
+    if (!needsPermission || answered) return null;
+    return (
+        <button onClick={() => requestTiltPermission().then(() => setAnswered(true))} style={{
+            position: "absolute", top: 88, right: 16, zIndex: 3, padding: "6px 14px", borderRadius: 50, cursor: "pointer",
+            background: alpha(vars.accent, 0.1), border: `1px solid ${alpha(vars.accent, 0.3)}`, color: vars.accent,
+            fontFamily: "'JetBrains Mono', monospace", fontSize: 11, letterSpacing: 1, textTransform: "uppercase",
+        }}>
+            {t.scene.tilt}
+        </button>
+    );
+}
+
+// The WebGL scene is built once per quality tier. Theme and motion
+// changes are pushed into the running scene through `controlsRef`
+// instead of rebuilding it. Until the first frame is drawn — and for
+// good if WebGL is unavailable — the static fallback is shown instead.
+// `skills` and `skillLinks` (content.ts) give the orbiting nodes and
+// their connections; `onSelectSkill(index)` fires when a node is clicked.
+export default function ThreeScene({ theme = "dark", reducedMotion = false, skills = [], skillLinks = [], onSelectSkill }) {
+    const mountRef = useRef(null);
+    const labelRef = useRef(null);
+    const statsRef = useRef(null);
+    const controlsRef = useRef(null);
+    const [tier, setTier] = useState(null);
+    const [webglReady, setWebglReady] = useState(false);
+    const [contextGeneration, setContextGeneration] = useState(0);
+    const selectSkill = useEffectEvent((index) => onSelectSkill?.(index));
+    const { t } = useI18n();
+
+    useEffect(() => {
+        let cancelled = false;
+        const detect = supportsWebGL() ? detectQualityTier() : Promise.resolve(null);
+        detect.then((detected) => { if (!cancelled && detected) setTier(detected); });
+        return () => { cancelled = true; };
+    }, []);
+
+    useEffect(() => {
+        if (!mountRef.current || !tier) return;
+        const container = mountRef.current;
+        const quality = qualityTiers[tier];
+        // The overlay text is written directly so FPS updates don't re-render.
+        if (statsRef.current) statsRef.current.textContent = `${tier} · – fps`;
+        const scene = new THREE.Scene();
+        const camera = new THREE.PerspectiveCamera(60, container.clientWidth / container.clientHeight, 0.1, 1000);
+        camera.position.z = 6;
+        camera.position.y = 1;
+
+        let renderer;
+        try {
+            renderer = new THREE.WebGLRenderer({ antialias: quality.antialias, alpha: true });
+        } catch (err) {
+            console.warn("[hero] WebGL renderer could not be created; keeping the static hero.", err);
+            return;
+        }
+        renderer.setSize(container.clientWidth, container.clientHeight);
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.maxPixelRatio));
+        renderer.setClearColor(0x000000, 0);
+        container.appendChild(renderer.domElement);
+
+        // Colors, intensities and blending are left at defaults here and
+        // set by `paint()` once the first theme arrives.
+
+        // ─── LIGHTING ────────────────────────────────────────
+        const ambientLight = new THREE.AmbientLight();
+        scene.add(ambientLight);
+
+        const pointLight1 = new THREE.PointLight(0xffffff, 1, 20);
+        pointLight1.position.set(3, 3, 3);
+        scene.add(pointLight1);
+
+        const pointLight2 = new THREE.PointLight(0xffffff, 1, 20);
+        pointLight2.position.set(-3, -2, 2);
+        scene.add(pointLight2);
+
+        const pointLight3 = new THREE.PointLight(0xffffff, 1, 20);
+        pointLight3.position.set(0, 4, -3);
+        scene.add(pointLight3);
+
+        // ─── CENTRAL GLOWING SPHERE ──────────────────────────
+        const centralGeometry = new THREE.IcosahedronGeometry(1.2, quality.sphereDetail);
+        const centralMaterial = new THREE.ShaderMaterial({
+            vertexShader: glowVertexShader,
+            fragmentShader: glowFragmentShader,
+            uniforms: {
+                uTime: { value: 0 },
+                uColor1: { value: new THREE.Color() },
+                uColor2: { value: new THREE.Color() },
+            },
+            transparent: true,
+            side: THREE.DoubleSide,
+        });
+        const centralSphere = new THREE.Mesh(centralGeometry, centralMaterial);
+        scene.add(centralSphere);
+
+        // Inner core
+        const coreGeometry = new THREE.IcosahedronGeometry(0.6, 2);
+        const coreMaterial = new THREE.MeshStandardMaterial({
+            wireframe: true,
+            transparent: true,
+        });
+        const core = new THREE.Mesh(coreGeometry, coreMaterial);
+        scene.add(core);
+
+        // ─── ORBITAL RINGS ───────────────────────────────────
+        // Tube thickness is a theme token, so ring geometry is swapped
+        // (not the whole scene) when it changes.
+        const rings = [];
+        const ringConfigs = [
+            { radius: 2.2, color: "primary", rotation: { x: Math.PI / 6, y: 0 } },
+            { radius: 2.8, color: "secondary", rotation: { x: -Math.PI / 4, y: Math.PI / 3 } },
+            { radius: 3.4, color: "tertiary", rotation: { x: Math.PI / 3, y: -Math.PI / 4 } },
+        ];
+        let ringThickness = null;
+
+        const setRingThickness = (thickness) => {
+            if (thickness === ringThickness) return;
+            ringThickness = thickness;
+            rings.forEach((ring) => {
+                ring.mesh.geometry.dispose();
+                ring.mesh.geometry = new THREE.TorusGeometry(ring.radius, thickness, 16, quality.ringSegments);
+            });
+        };
+
+        ringConfigs.forEach((config) => {
+            const ringMaterial = new THREE.ShaderMaterial({
+                vertexShader: ringVertexShader,
+                fragmentShader: ringFragmentShader,
+                uniforms: {
+                    uTime: { value: 0 },
+                    uColor: { value: new THREE.Color() },
+                },
+                transparent: true,
+                side: THREE.DoubleSide,
+            });
+            const ring = new THREE.Mesh(new THREE.BufferGeometry(), ringMaterial);
+            ring.rotation.x = config.rotation.x;
+            ring.rotation.y = config.rotation.y;
+            scene.add(ring);
+            rings.push({ mesh: ring, material: ringMaterial, radius: config.radius, color: config.color, baseRotation: { ...config.rotation } });
+        });
+
+        // ─── SKILL NODES ─────────────────────────────────────
+        // One orbiting node per skill category. Each carries a larger,
+        // invisible hit sphere so the small octahedra are easy to point at.
+        const nodes = [];
+        const nodeColors = ["primary", "secondary", "tertiary", "highlight"];
+        const nodeCount = skills.length;
+        const hitGeometry = new THREE.SphereGeometry(0.35, 8, 6);
+        const hitMaterial = new THREE.MeshBasicMaterial({ visible: false });
+        for (let i = 0; i < nodeCount; i++) {
+            const angle = (i / nodeCount) * Math.PI * 2;
+            const radius = 2 + Math.random() * 1.5;
+            const yOffset = (Math.random() - 0.5) * 2;
+
+            const nodeGeometry = new THREE.OctahedronGeometry(0.1 + Math.random() * 0.06, 0);
+            const nodeMaterial = new THREE.MeshStandardMaterial({
+                metalness: 0.8,
+                roughness: 0.2,
+            });
+            const node = new THREE.Mesh(nodeGeometry, nodeMaterial);
+            node.position.set(
+                Math.cos(angle) * radius,
+                yOffset,
+                Math.sin(angle) * radius
+            );
+            const hit = new THREE.Mesh(hitGeometry, hitMaterial);
+            hit.userData.skill = i;
+            node.add(hit);
+            scene.add(node);
+            nodes.push({
+                mesh: node,
+                hit,
+                color: nodeColors[i % 4],
+                angle,
+                radius,
+                yOffset,
+                speed: 0.2 + Math.random() * 0.3,
+                ySpeed: 0.5 + Math.random() * 0.5,
+            });
+        }
+
+        // ─── CONNECTION LINES (NEURAL NETWORK EFFECT) ────────
+        // One segment per pair of skill categories used together in
+        // projects, all in a single LineSegments buffer (connection-lines.js).
+        // Pairs shared by more projects draw stronger, segments fade as
+        // their nodes drift apart, and the hovered node's links light up.
+        const connections = createConnectionLines(skillLinks.length);
+        scene.add(connections.lines);
+        const maxShared = Math.max(1, ...skillLinks.map((link) => link.projects.length));
+
+        const updateConnections = () => {
+            connections.begin();
+            skillLinks.forEach((link) => {
+                const node1 = nodes[link.from];
+                const node2 = nodes[link.to];
+                if (!node1 || !node2) return;
+                const strength = 0.3 + 0.7 * (link.projects.length / maxShared);
+                const fade = Math.max(0.15, 1 - node1.mesh.position.distanceTo(node2.mesh.position) / CONNECTION_FADE_DISTANCE);
+                const lit = hovered === link.from || hovered === link.to;
+                connections.add(node1.mesh.position, node2.mesh.position, strength * fade * (lit ? 3 : 1));
+            });
+            connections.commit();
+        };
+
+        // ─── PARTICLE SYSTEM ─────────────────────────────────
+        // Sized for the densest theme; each theme draws a prefix of it.
+        const maxParticles = Math.max(...Object.values(themes).map(({ scene }) => scene.particleCount));
+        const particleCount = Math.round(maxParticles * quality.particleScale);
+        const particleGeometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(particleCount * 3);
+        const scales = new Float32Array(particleCount);
+        const randomness = new Float32Array(particleCount);
+
+        for (let i = 0; i < particleCount; i++) {
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.acos(2 * Math.random() - 1);
+            const radius = 3 + Math.random() * 4;
+
+            positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
+            positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
+            positions[i * 3 + 2] = radius * Math.cos(phi);
+            scales[i] = Math.random();
+            randomness[i] = Math.random();
+        }
+
+        particleGeometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+        particleGeometry.setAttribute("aScale", new THREE.BufferAttribute(scales, 1));
+        particleGeometry.setAttribute("aRandomness", new THREE.BufferAttribute(randomness, 1));
+
+        const particleMaterial = new THREE.ShaderMaterial({
+            vertexShader: particleVertexShader,
+            fragmentShader: particleFragmentShader,
+            uniforms: {
+                uTime: { value: 0 },
+                uSize: { value: 0 },
+                uColor1: { value: new THREE.Color() },
+                uColor2: { value: new THREE.Color() },
+                uAlpha: { value: 0 },
+            },
+            transparent: true,
+            depthWrite: false,
+        });
+
+        const particles = new THREE.Points(particleGeometry, particleMaterial);
+        scene.add(particles);
+
+        // ─── FLOATING GEOMETRIC SHAPES ───────────────────────
+        const floatingShapes = [];
+        const shapeColors = ["primary", "secondary", "tertiary"];
+        const shapeConfigs = [
+            { geometry: new THREE.TetrahedronGeometry(0.3, 0), pos: [-4, 2, -2] },
+            { geometry: new THREE.OctahedronGeometry(0.25, 0), pos: [4, -1.5, -1] },
+            { geometry: new THREE.IcosahedronGeometry(0.2, 0), pos: [-3, -2, 1] },
+            { geometry: new THREE.TorusKnotGeometry(0.2, 0.06, 64, 8), pos: [3.5, 2.5, -2] },
+            { geometry: new THREE.DodecahedronGeometry(0.22, 0), pos: [-4.5, 0, -1] },
+            { geometry: new THREE.ConeGeometry(0.2, 0.4, 4), pos: [4.5, 1, -1.5] },
+        ];
+
+        shapeConfigs.forEach((config, i) => {
+            const material = new THREE.MeshStandardMaterial({
+                metalness: 0.9,
+                roughness: 0.1,
+                wireframe: Math.random() > 0.5,
+            });
+            const mesh = new THREE.Mesh(config.geometry, material);
+            mesh.position.set(...config.pos);
+            scene.add(mesh);
+            floatingShapes.push({
+                mesh,
+                color: shapeColors[i % 3],
+                initialPos: [...config.pos],
+                rotSpeed: { x: 0.01 + Math.random() * 0.02, y: 0.01 + Math.random() * 0.02 },
+                floatSpeed: 0.5 + Math.random() * 0.5,
+                floatAmp: 0.3 + Math.random() * 0.3,
+            });
+        });
+
+        // ─── THEME PAINTING ──────────────────────────────────
+        // `paint()` writes a (possibly blended) palette into every light,
+        // material and uniform. Discrete tokens — blending mode, ring
+        // thickness, particle count — switch at the start of a transition.
+        let painted = null;
+        let transition = null; // { from, to, start } while a theme change animates
+
+        const paint = (palette) => {
+            painted = palette;
+            ambientLight.color.copy(palette.ambient);
+            ambientLight.intensity = palette.ambientIntensity;
+            [pointLight1, pointLight2, pointLight3].forEach((light, i) => {
+                light.color.copy(palette[["primary", "secondary", "tertiary"][i]]);
+                light.intensity = palette.lightIntensity[i];
+            });
+            centralMaterial.uniforms.uColor1.value.copy(palette.primary);
+            centralMaterial.uniforms.uColor2.value.copy(palette.tertiary);
+            coreMaterial.color.copy(palette.primary);
+            coreMaterial.emissive.copy(palette.primary);
+            coreMaterial.emissiveIntensity = palette.coreEmissive;
+            coreMaterial.opacity = palette.coreOpacity;
+            rings.forEach((ring) => ring.material.uniforms.uColor.value.copy(palette[ring.color]));
+            nodes.forEach((node) => {
+                node.mesh.material.color.copy(palette[node.color]);
+                node.mesh.material.emissive.copy(palette[node.color]);
+                node.mesh.material.emissiveIntensity = palette.nodeEmissive;
+            });
+            connections.material.color.copy(palette.primary);
+            connections.material.opacity = palette.lineOpacity;
+            particleMaterial.uniforms.uColor1.value.copy(palette.primary);
+            particleMaterial.uniforms.uColor2.value.copy(palette.tertiary);
+            particleMaterial.uniforms.uSize.value = palette.particleSize * renderer.getPixelRatio();
+            particleMaterial.uniforms.uAlpha.value = palette.particleAlpha;
+            floatingShapes.forEach((shape) => {
+                shape.mesh.material.color.copy(palette[shape.color]);
+                shape.mesh.material.emissive.copy(palette[shape.color]);
+                shape.mesh.material.emissiveIntensity = palette.shapeEmissive;
+            });
+        };
+
+        const switchDiscreteTokens = (name) => {
+            const tokens = themes[name].scene;
+            const blending = tokens.additive ? THREE.AdditiveBlending : THREE.NormalBlending;
+            [centralMaterial, particleMaterial].forEach((material) => {
+                if (material.blending === blending) return;
+                material.blending = blending;
+                material.needsUpdate = true;
+            });
+            setRingThickness(tokens.ringThickness);
+            particleGeometry.setDrawRange(0, Math.round(tokens.particleCount * quality.particleScale));
+        };
+
+        const stepTransition = () => {
+            if (!transition) return;
+            const t = Math.min(1, (elapsed - transition.start) / THEME_TRANSITION_S);
+            paint(blendPalette(transition.from, transition.to, easeInOut(t)));
+            if (t === 1) transition = null;
+        };
+
+        // ─── CAMERA INPUT ────────────────────────────────────
+        // Mouse, touch drag, device tilt and arrow keys (hero-input.js)
+        // all resolve to one target the camera eases towards.
+        let mouseX = 0, mouseY = 0;
+        const input = createHeroInput(container);
+
+        // ─── NODE HOVER & SELECTION ──────────────────────────
+        // The pointer is raycast against the hit spheres on every move and
+        // frame; the hovered node grows and its label follows it on screen.
+        // A click or tap on a node selects its skill category.
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+        const labelPosition = new THREE.Vector3();
+        const hitTargets = nodes.map((node) => node.hit);
+        let pointerInside = false;
+        let hovered = null;
+
+        const setPointer = (e) => {
+            const rect = container.getBoundingClientRect();
+            pointerInside = e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom;
+            pointer.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+        };
+
+        const pick = () => {
+            if (!pointerInside) return null;
+            raycaster.setFromCamera(pointer, camera);
+            return raycaster.intersectObjects(hitTargets, false)[0]?.object.userData.skill ?? null;
+        };
+
+        const positionLabel = () => {
+            const label = labelRef.current;
+            if (!label) return;
+            if (hovered === null) {
+                label.style.opacity = "0";
+                return;
+            }
+            nodes[hovered].mesh.getWorldPosition(labelPosition).project(camera);
+            const x = ((labelPosition.x + 1) / 2) * container.clientWidth;
+            const y = ((1 - labelPosition.y) / 2) * container.clientHeight;
+            label.style.transform = `translate(${x}px, ${y - 18}px) translate(-50%, -100%)`;
+            label.style.opacity = "1";
+        };
+
+        const updateHover = () => {
+            const next = pick();
+            if (next !== hovered) {
+                if (hovered !== null) nodes[hovered].mesh.scale.setScalar(1);
+                if (next !== null) nodes[next].mesh.scale.setScalar(1.8);
+                hovered = next;
+                container.style.cursor = hovered === null ? "" : "pointer";
+                if (labelRef.current && hovered !== null) labelRef.current.textContent = `${skills[hovered].icon} ${skills[hovered].title}`;
+                updateConnections();
+                renderStill();
+            }
+            positionLabel();
+        };
+
+        const handleHoverMove = (e) => {
+            if (e.pointerType !== "mouse") return;
+            setPointer(e);
+            updateHover();
+        };
+
+        const handleNodeClick = (e) => {
+            if (e.target.closest?.("a, button, input, textarea, select, label")) return;
+            setPointer(e);
+            const skill = pick();
+            if (skill !== null) selectSkill(skill);
+        };
+
+        window.addEventListener("pointermove", handleHoverMove);
+        window.addEventListener("click", handleNodeClick);
+
+        // ─── ANIMATION LOOP ──────────────────────────────────
+        // Frames only run while the hero is on screen and the tab is
+        // visible. Motion is scaled by frame time so throttled frame rates
+        // keep the same speed. With reduced motion one still frame is drawn.
+        let animId = null;
+        let elapsed = 0;
+        let lastFrame = 0;
+        let onScreen = true;
+        let motionReduced = true; // until the first setReducedMotion()
+        let contextLost = false;
+        let firstFrameDrawn = false;
+
+        const renderFrame = (delta) => {
+            elapsed += delta;
+            stepTransition();
+            const step = delta * 60; // 1 at 60fps
+            const ease = (rate) => 1 - Math.pow(1 - rate, step);
+
+            // Smooth mouse interpolation
+            const { x: targetMouseX, y: targetMouseY } = input.update(delta);
+            mouseX += (targetMouseX - mouseX) * ease(0.05);
+            mouseY += (targetMouseY - mouseY) * ease(0.05);
+
+            // Update central sphere
+            centralMaterial.uniforms.uTime.value = elapsed;
+            centralSphere.rotation.y = elapsed * 0.1;
+            centralSphere.rotation.x = elapsed * 0.05;
+
+            // Update core
+            core.rotation.y = -elapsed * 0.3;
+            core.rotation.x = elapsed * 0.2;
+
+            // Update rings
+            rings.forEach((ring, i) => {
+                ring.material.uniforms.uTime.value = elapsed;
+                ring.mesh.rotation.z = elapsed * 0.1 * (i % 2 === 0 ? 1 : -1);
+            });
+
+            // Update orbiting nodes
+            nodes.forEach((node) => {
+                node.angle += node.speed * 0.01 * step;
+                node.mesh.position.x = Math.cos(node.angle) * node.radius;
+                node.mesh.position.z = Math.sin(node.angle) * node.radius;
+                node.mesh.position.y = node.yOffset + Math.sin(elapsed * node.ySpeed) * 0.5;
+                node.mesh.rotation.x += 0.02 * step;
+                node.mesh.rotation.y += 0.03 * step;
+            });
+
+            // Update connections
+            updateConnections();
+
+            // Update particles
+            particleMaterial.uniforms.uTime.value = elapsed;
+
+            // Update floating shapes
+            floatingShapes.forEach((shape) => {
+                shape.mesh.rotation.x += shape.rotSpeed.x * step;
+                shape.mesh.rotation.y += shape.rotSpeed.y * step;
+                shape.mesh.position.y = shape.initialPos[1] + Math.sin(elapsed * shape.floatSpeed) * shape.floatAmp;
+            });
+
+            // Update lights
+            pointLight1.position.x = Math.sin(elapsed * 0.5) * 4;
+            pointLight1.position.z = Math.cos(elapsed * 0.5) * 4;
+            pointLight2.position.x = Math.cos(elapsed * 0.3) * 3;
+            pointLight2.position.z = Math.sin(elapsed * 0.3) * 3;
+
+            // Camera movement based on mouse
+            camera.position.x += (mouseX * 2 - camera.position.x) * ease(0.02);
+            camera.position.y += (mouseY * 1.5 + 1 - camera.position.y) * ease(0.02);
+            camera.lookAt(0, 0, 0);
+
+            renderer.render(scene, camera);
+            if (pointerInside) updateHover();
+            if (!firstFrameDrawn) {
+                firstFrameDrawn = true;
+                setWebglReady(true);
+            }
+        };
+
+        // ─── ADAPTIVE QUALITY ────────────────────────────────
+        // Every SAMPLE_FRAMES frames the average frame time is checked.
+        // Repeated slow samples rebuild the scene one quality tier lower;
+        // at the low tier a slow sample steps down one FRAME_RATES level
+        // instead, and after RECOVER_AFTER_MS the loop tries one level up.
+        let level = 0;
+        let levelSince = 0;
+        let sampleStart = 0;
+        let sampleFrames = 0;
+        let slowSamples = 0;
+        let downgrading = false;
+
+        const resetSample = (now) => {
+            sampleStart = now;
+            sampleFrames = 0;
+        };
+
+        const adaptFrameRate = (now) => {
+            if (++sampleFrames < SAMPLE_FRAMES) return;
+            const average = (now - sampleStart) / sampleFrames;
+            resetSample(now);
+            if (statsRef.current) statsRef.current.textContent = `${tier} · ${Math.round(1000 / average)} fps`;
+
+            const slow = average > FRAME_RATES[level].slowerThan;
+            slowSamples = slow ? slowSamples + 1 : 0;
+            if (tier !== "low") {
+                if (slowSamples >= SLOW_SAMPLES_BEFORE_DOWNGRADE && !downgrading) {
+                    downgrading = true;
+                    rememberTier(lowerTier(tier));
+                    setTier(lowerTier(tier));
+                }
+            } else if (slow && level < FRAME_RATES.length - 1) {
+                level++;
+                levelSince = now;
+            } else if (level > 0 && now - levelSince > RECOVER_AFTER_MS) {
+                level--;
+                levelSince = now;
+            }
+        };
+
+        const tick = (now) => {
+            animId = requestAnimationFrame(tick);
+            // 1ms of slack absorbs rAF timestamp jitter at throttled rates
+            if (now - lastFrame < FRAME_RATES[level].interval - 1) return;
+            const delta = Math.min((now - lastFrame) / 1000, MAX_DELTA);
+            lastFrame = now;
+            adaptFrameRate(now);
+            renderFrame(delta);
+        };
+
+        // Redraws the current state when no loop is running to do it.
+        const renderStill = () => {
+            if (animId === null && painted && !contextLost) renderFrame(0);
+        };
+
+        // ─── VISIBILITY ──────────────────────────────────────
+        const updateRunning = () => {
+            const shouldRun = onScreen && !document.hidden && !motionReduced && !contextLost && painted !== null;
+            if (shouldRun && animId === null) {
+                lastFrame = performance.now();
+                resetSample(lastFrame);
+                animId = requestAnimationFrame(tick);
+            } else if (!shouldRun && animId !== null) {
+                cancelAnimationFrame(animId);
+                animId = null;
+                // A paused scene can't animate, so land any theme change now.
+                if (transition) {
+                    paint(transition.to);
+                    transition = null;
+                }
+            }
+        };
+
+        const observer = new IntersectionObserver(([entry]) => {
+            onScreen = entry.isIntersecting;
+            updateRunning();
+        });
+        observer.observe(container);
+        document.addEventListener("visibilitychange", updateRunning);
+
+        controlsRef.current = {
+            setTheme(name) {
+                const to = readPalette(name);
+                switchDiscreteTokens(name);
+                if (painted && animId !== null) {
+                    transition = { from: painted, to, start: elapsed };
+                } else {
+                    transition = null;
+                    paint(to);
+                    renderStill();
+                }
+            },
+            setReducedMotion(reduced) {
+                motionReduced = reduced;
+                updateRunning();
+                renderStill();
+            },
+        };
+
+        // ─── RESIZE HANDLER ──────────────────────────────────
+        const handleResize = () => {
+            camera.aspect = container.clientWidth / container.clientHeight;
+            camera.updateProjectionMatrix();
+            renderer.setSize(container.clientWidth, container.clientHeight);
+            if (painted) particleMaterial.uniforms.uSize.value = painted.particleSize * renderer.getPixelRatio();
+            renderStill();
+        };
+        window.addEventListener("resize", handleResize);
+
+        // ─── CONTEXT LOSS ────────────────────────────────────
+        // GPU resets and driver crashes drop the context. The fallback comes
+        // back while it is gone; once the browser restores it the whole
+        // scene is rebuilt on a fresh renderer.
+        const canvas = renderer.domElement;
+        const handleContextLost = (e) => {
+            e.preventDefault(); // tells the browser we want it restored
+            contextLost = true;
+            updateRunning();
+            setWebglReady(false);
+        };
+        const handleContextRestored = () => setContextGeneration((generation) => generation + 1);
+        canvas.addEventListener("webglcontextlost", handleContextLost);
+        canvas.addEventListener("webglcontextrestored", handleContextRestored);
+
+        // ─── CLEANUP ─────────────────────────────────────────
+        return () => {
+            if (animId !== null) cancelAnimationFrame(animId);
+            observer.disconnect();
+            document.removeEventListener("visibilitychange", updateRunning);
+            input.dispose();
+            window.removeEventListener("pointermove", handleHoverMove);
+            window.removeEventListener("click", handleNodeClick);
+            window.removeEventListener("resize", handleResize);
+            canvas.removeEventListener("webglcontextlost", handleContextLost);
+            canvas.removeEventListener("webglcontextrestored", handleContextRestored);
+            controlsRef.current = null;
+            disposeObject(scene);
+            if (container.contains(renderer.domElement)) container.removeChild(renderer.domElement);
+            renderer.dispose();
+        };
+    }, [tier, contextGeneration, skills, skillLinks]);
+
+    // Re-applied after every rebuild too, hence `tier` and `contextGeneration`.
+    useEffect(() => {
+        controlsRef.current?.setTheme(theme);
+    }, [theme, tier, contextGeneration]);
+
+    useEffect(() => {
+        controlsRef.current?.setReducedMotion(reducedMotion);
+    }, [reducedMotion, tier, contextGeneration]);
+
+    return (
+        <>
+            <div
+                ref={mountRef}
+                tabIndex={0}
+                role="group"
+                aria-roledescription={t.scene.roleDescription}
+                aria-label={t.scene.label}
+                aria-keyshortcuts="ArrowLeft ArrowRight ArrowUp ArrowDown"
+                className="hero-scene"
+                style={{ position: "absolute", inset: 0, zIndex: 0, touchAction: "pan-y" }}
+            >
+                <HeroFallback hidden={webglReady} />
+                {SHOW_STATS && (
+                    <div ref={statsRef} aria-hidden="true" style={{
+                        position: "absolute", top: 88, left: 16, padding: "4px 10px", borderRadius: 6,
+                        background: "rgba(0,0,0,0.6)", color: "#fff", pointerEvents: "none",
+                        fontFamily: "'JetBrains Mono', monospace", fontSize: 11,
+                    }} />
+                )}
+            </div>
+            <div ref={labelRef} aria-hidden="true" style={{
+                position: "absolute", top: 0, left: 0, zIndex: 3, opacity: 0, pointerEvents: "none", whiteSpace: "nowrap",
+                padding: "6px 12px", borderRadius: 50, background: vars.bgSecondary, border: `1px solid ${alpha(vars.accent, 0.4)}`,
+                color: vars.text, fontFamily: "'DM Sans', sans-serif", fontSize: 13, fontWeight: 500,
+                backdropFilter: "blur(12px)", transition: "opacity 0.2s",
+            }} />
+            {webglReady && !reducedMotion && <TiltButton />}
+        </>
+    );
+}
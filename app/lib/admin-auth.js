@@ -0,0 +1,43 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+// ─── ADMIN AUTH ──────────────────────────────────────────────────
+// HTTP Basic auth for the owner-only pages, checked in proxy.js before
+// they render. API routes and server actions aren't matched by path, so
+// the ones that need it call checkAdmin() themselves. Any user name is
+// accepted; the password is ADMIN_PASSWORD.
+// Without one the pages are open in development and 404 in production,
+// so a deploy that forgot to set it doesn't expose them.
+
+// Paths after the locale prefix.
+const ADMIN_PATHS = ["/stats", "/admin"];
+
+export function isAdminPath(pathname) {
+    return ADMIN_PATHS.some((prefix) => pathname === prefix || pathname.startsWith(`${prefix}/`));
+}
+
+// Hashing first gives both sides the same length, which timingSafeEqual needs.
+const digest = (value) => createHash("sha256").update(value).digest();
+
+function passwordFrom(header) {
+    if (!header?.startsWith("Basic ")) return null;
+    try {
+        const credentials = atob(header.slice(6));
+        return credentials.slice(credentials.indexOf(":") + 1);
+    } catch {
+        return null;
+    }
+}
+
+// null when the request may go through, otherwise the response to send.
+export function checkAdmin(request) {
+    const expected = process.env.ADMIN_PASSWORD;
+    if (!expected) {
+        return process.env.NODE_ENV === "production" ? new Response("Not Found", { status: 404 }) : null;
+    }
+    const password = passwordFrom(request.headers.get("authorization"));
+    if (password !== null && timingSafeEqual(digest(password), digest(expected))) return null;
+    return new Response("Authentication required", {
+        status: 401,
+        headers: { "WWW-Authenticate": 'Basic realm="Portfolio admin", charset="UTF-8"', "Cache-Control": "no-store" },
+    });
+}
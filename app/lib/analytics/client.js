@@ -0,0 +1,76 @@
+"use client";
+
+import { useEffect } from "react";
+import { MAX_BATCH, VALUES } from "./events";
+
+// ─── ANALYTICS BEACON ────────────────────────────────────────────
+// track() queues an event; the queue goes to /api/events a few seconds
+// later, or at once when the page is hidden, so closing the tab doesn't
+// lose it. Nothing is sent when the visitor has Do Not Track or Global
+// Privacy Control on, and nothing is stored in the browser: the server
+// tells visitors apart only by a hash that changes every day (store.js).
+
+const ENDPOINT = "/api/events";
+const FLUSH_DELAY_MS = 5000;
+const MIN_DWELL_MS = 1000;
+
+let queue = [];
+let timer = null;
+let listening = false;
+
+const optedOut = () => navigator.doNotTrack === "1" || navigator.globalPrivacyControl === true;
+
+function send(events) {
+    const body = JSON.stringify({ events });
+    if (navigator.sendBeacon?.(ENDPOINT, new Blob([body], { type: "application/json" }))) return;
+    fetch(ENDPOINT, { method: "POST", headers: { "Content-Type": "application/json" }, body, keepalive: true }).catch(() => {});
+}
+
+function flush() {
+    clearTimeout(timer);
+    timer = null;
+    while (queue.length) send(queue.splice(0, MAX_BATCH));
+}
+
+function listen() {
+    listening = true;
+    document.addEventListener("visibilitychange", () => { if (document.visibilityState === "hidden") flush(); });
+    window.addEventListener("pagehide", flush);
+}
+
+// `props` must match the event's entry in events.js.
+export function track(name, props, value) {
+    if (typeof window === "undefined" || optedOut()) return;
+    if (!listening) listen();
+    queue.push({ name, path: location.pathname, props, value });
+    if (queue.length >= MAX_BATCH) flush();
+    else timer ??= setTimeout(flush, FLUSH_DELAY_MS);
+}
+
+// Times how long `section` stays the active one while the tab is visible,
+// and reports it as one section_dwell event when it stops being active.
+// Glances under a second (scrolling past) aren't counted.
+export function useSectionDwell(section) {
+    useEffect(() => {
+        let startedAt = document.visibilityState === "visible" ? performance.now() : null;
+        const stop = () => {
+            if (startedAt === null) return;
+            const ms = Math.round(performance.now() - startedAt);
+            startedAt = null;
+            if (ms >= MIN_DWELL_MS) track("section_dwell", { section }, Math.min(ms, VALUES.section_dwell));
+        };
+        const onVisibility = () => {
+            if (document.visibilityState === "visible") {
+                startedAt = performance.now();
+            } else {
+                stop();
+                flush();
+            }
+        };
+        document.addEventListener("visibilitychange", onVisibility);
+        return () => {
+            document.removeEventListener("visibilitychange", onVisibility);
+            stop();
+        };
+    }, [section]);
+}
@@ -0,0 +1,60 @@
+// ─── ANALYTICS EVENTS ────────────────────────────────────────────
+// The events the beacon accepts and the props each may carry. Shared by
+// the browser side (client.js) and /api/events, so anything not listed
+// here is never recorded. Props are short slugs, never free text, so
+// nothing a visitor typed can end up in the store.
+
+const SLUG = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const HOST = /^[a-z0-9.-]{1,253}$/;
+
+export const EVENTS = {
+    pageview: { referrer: HOST },
+    section_dwell: { section: SLUG },
+    cta_click: { cta: SLUG },
+    project_open: { project: SLUG },
+    form_start: {},
+    form_submit: {},
+    form_success: {},
+    form_error: { reason: SLUG },
+};
+
+// Events that must carry a whole-number `value`, and its ceiling.
+export const VALUES = { section_dwell: 30 * 60 * 1000 };
+
+export const MAX_BATCH = 20;
+const MAX_PATH = 200;
+
+function validateEvent(event) {
+    if (typeof event !== "object" || event === null) return "each event must be an object";
+    if (!Object.hasOwn(EVENTS, event.name)) return `unknown event ${JSON.stringify(event.name)}`;
+    const props = EVENTS[event.name];
+    if (typeof event.path !== "string" || !event.path.startsWith("/") || event.path.length > MAX_PATH) return `${event.name}.path must be a site path`;
+    const { props: given = {} } = event;
+    if (typeof given !== "object" || given === null || Array.isArray(given)) return `${event.name}.props must be an object`;
+    for (const [key, value] of Object.entries(given)) {
+        if (!Object.hasOwn(props, key)) return `${event.name} has no prop ${JSON.stringify(key)}`;
+        if (typeof value !== "string" || !props[key].test(value)) return `${event.name}.${key} is malformed`;
+    }
+    if (Object.hasOwn(VALUES, event.name)) {
+        if (!Number.isInteger(event.value) || event.value < 0 || event.value > VALUES[event.name]) return `${event.name}.value must be 0–${VALUES[event.name]}`;
+    } else if (event.value !== undefined) {
+        return `${event.name} takes no value`;
+    }
+    return null;
+}
+
+// Returns the valid events cleaned down to known fields. An invalid event
+// is dropped on its own, so one bad event doesn't cost the rest of the
+// batch; `error` is set only when the batch itself is malformed or
+// nothing in it is usable.
+export function validateEvents(body) {
+    const events = body?.events;
+    if (!Array.isArray(events) || !events.length) return { error: "events must be a non-empty array" };
+    if (events.length > MAX_BATCH) return { error: `at most ${MAX_BATCH} events per request` };
+    const problems = events.map(validateEvent);
+    const valid = events.filter((_, i) => !problems[i]);
+    if (!valid.length) return { error: problems[0] };
+    return {
+        events: valid.map(({ name, path, props, value }) => ({ name, path: path.split(/[?#]/)[0], props: props ?? {}, value })),
+    };
+}
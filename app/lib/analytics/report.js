@@ -0,0 +1,93 @@
+import { dayOf, readEvents } from "./store";
+
+// ─── ANALYTICS REPORT ────────────────────────────────────────────
+// Turns raw events into what /stats charts. A "visitor" is a visitor
+// hash on one day; hashes rotate daily (store.js), so someone who comes
+// back tomorrow counts again, and every figure is per visitor-day.
+
+const visitorKey = (event) => `${event.day}:${event.visitor}`;
+
+// The home page is /en or /es; the funnel starts there.
+const HOME_PATH = /^\/[a-z]{2}\/?$/;
+
+const FUNNEL = [
+    ["Visited", (event) => event.name === "pageview"],
+    ["Saw the home page", (event) => event.name === "pageview" && HOME_PATH.test(event.path)],
+    ["Started the form", (event) => event.name === "form_start"],
+    ["Submitted", (event) => event.name === "form_submit"],
+    ["Message sent", (event) => event.name === "form_success"],
+];
+
+function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// Distinct visitors per `key(event)`, for the events `keep` accepts.
+function visitorsBy(events, keep, key) {
+    const groups = new Map();
+    for (const event of events) {
+        if (!keep(event)) continue;
+        const group = key(event);
+        if (!groups.has(group)) groups.set(group, new Set());
+        groups.get(group).add(visitorKey(event));
+    }
+    return groups;
+}
+
+const ranked = (groups, label) =>
+    [...groups].map(([name, visitors]) => ({ [label]: name, visitors: visitors.size })).sort((a, b) => b.visitors - a.visitors);
+
+// `days` is how many days back from `today` (inclusive) to report.
+export function summarize(events, { days, today = new Date() }) {
+    const range = Array.from({ length: days }, (_, i) => dayOf(new Date(today.getTime() - (days - 1 - i) * 86400000)));
+
+    const pageviews = events.filter((event) => event.name === "pageview");
+    const daily = range.map((day) => {
+        const views = pageviews.filter((event) => event.day === day);
+        return { day, pageviews: views.length, visitors: new Set(views.map(visitorKey)).size };
+    });
+
+    // Time per section, summed per visitor before taking the median.
+    const dwell = new Map();
+    for (const event of events) {
+        if (event.name !== "section_dwell") continue;
+        const perVisitor = dwell.get(event.props.section) ?? new Map();
+        perVisitor.set(visitorKey(event), (perVisitor.get(visitorKey(event)) ?? 0) + event.value);
+        dwell.set(event.props.section, perVisitor);
+    }
+    const sections = [...dwell].map(([section, perVisitor]) => ({
+        section,
+        visitors: perVisitor.size,
+        medianMs: median([...perVisitor.values()]),
+        totalMs: [...perVisitor.values()].reduce((sum, ms) => sum + ms, 0),
+    })).sort((a, b) => b.totalMs - a.totalMs);
+
+    // A CTA "converts" when the same visitor sends a message that day.
+    const sent = new Set(events.filter((event) => event.name === "form_success").map(visitorKey));
+    const ctas = [...visitorsBy(events, (event) => event.name === "cta_click", (event) => event.props.cta)].map(([cta, visitors]) => ({
+        cta,
+        visitors: visitors.size,
+        converted: [...visitors].filter((visitor) => sent.has(visitor)).length,
+    })).sort((a, b) => b.visitors - a.visitors);
+
+    return {
+        since: range[0],
+        visitors: new Set(pageviews.map(visitorKey)).size,
+        pageviews: pageviews.length,
+        daily,
+        sections,
+        ctas,
+        projects: ranked(visitorsBy(events, (event) => event.name === "project_open", (event) => event.props.project), "project"),
+        funnel: FUNNEL.map(([step, keep]) => ({ step, visitors: new Set(events.filter(keep).map(visitorKey)).size })),
+        errors: ranked(visitorsBy(events, (event) => event.name === "form_error", (event) => event.props.reason), "reason"),
+        referrers: ranked(visitorsBy(events, (event) => event.name === "pageview" && event.props.referrer, (event) => event.props.referrer), "referrer").slice(0, 10),
+    };
+}
+
+export async function getStats(days, today = new Date()) {
+    const since = dayOf(new Date(today.getTime() - (days - 1) * 86400000));
+    return summarize(await readEvents({ since }), { days, today });
+}
@@ -0,0 +1,67 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// ─── ANALYTICS STORE ─────────────────────────────────────────────
+// Events are appended as JSON lines to ANALYTICS_FILE. There are no
+// cookies; a visitor is a hash of the client IP and user agent with a
+// random salt that only lives for the current UTC day, so the same person
+// can't be followed from one day to the next, and once the salt is
+// replaced the hashes can't be reversed. IPs and user agents are never
+// written. The salt is kept next to the events so a restart doesn't
+// split the day's visitors in two.
+
+const eventsFile = () => path.resolve(process.env.ANALYTICS_FILE || ".data/analytics-events.jsonl");
+const saltFile = () => path.join(path.dirname(eventsFile()), "analytics-salt.json");
+
+export const dayOf = (date) => date.toISOString().slice(0, 10);
+
+let salt = null; // { day, value }
+
+async function dailySalt(day) {
+    if (salt?.day === day) return salt.value;
+    try {
+        const saved = JSON.parse(await fs.readFile(saltFile(), "utf8"));
+        if (saved.day === day) {
+            salt = saved;
+            return salt.value;
+        }
+    } catch {
+        // No salt yet, or an unreadable one: start a new one.
+    }
+    salt = { day, value: crypto.randomBytes(32).toString("hex") };
+    await fs.mkdir(path.dirname(saltFile()), { recursive: true });
+    await fs.writeFile(saltFile(), JSON.stringify(salt));
+    return salt.value;
+}
+
+// `events` come from validateEvents() in events.js.
+export async function recordEvents(events, { ip, userAgent, now = new Date() }) {
+    const day = dayOf(now);
+    const visitor = crypto.createHash("sha256").update(`${await dailySalt(day)}\n${ip}\n${userAgent}`).digest("hex").slice(0, 16);
+    const at = now.toISOString();
+    const lines = events.map((event) => JSON.stringify({ at, day, visitor, ...event })).join("\n");
+    await fs.mkdir(path.dirname(eventsFile()), { recursive: true });
+    await fs.appendFile(eventsFile(), `${lines}\n`);
+}
+
+// Every event recorded on or after `since` (YYYY-MM-DD), oldest first.
+// A line cut short by a crash is skipped rather than failing the page.
+export async function readEvents({ since }) {
+    let text;
+    try {
+        text = await fs.readFile(eventsFile(), "utf8");
+    } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+    }
+    return text.split("\n").flatMap((line) => {
+        if (!line) return [];
+        try {
+            const event = JSON.parse(line);
+            return event.day >= since ? [event] : [];
+        } catch {
+            return [];
+        }
+    });
+}
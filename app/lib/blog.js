@@ -0,0 +1,144 @@
+import { getBlogUpdatedAt, getPosts } from "./content";
+import { getDictionary } from "./i18n/dictionaries";
+import { localizedPath, localizedUrl, person } from "./site";
+
+// ─── BLOG ────────────────────────────────────────────────────────
+// Paths, tag pages and the RSS, Atom and JSON Feed documents for the posts
+// in content/blog. Each locale has its own feeds; untranslated posts appear
+// in every one of them in English.
+
+export function postPath(slug) {
+    return `/blog/${slug}`;
+}
+
+// "Next.js" → "next-js"
+export function tagSlug(tag) {
+    return tag.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+export function tagPath(tag) {
+    return `/blog/tags/${tagSlug(tag)}`;
+}
+
+// Every tag with the posts that use it, most used first.
+export function getTags(locale) {
+    const tags = new Map();
+    for (const post of getPosts(locale)) {
+        for (const tag of post.tags) {
+            const slug = tagSlug(tag);
+            if (!tags.has(slug)) tags.set(slug, { tag, slug, posts: [] });
+            tags.get(slug).posts.push(post);
+        }
+    }
+    return [...tags.values()].sort((a, b) => b.posts.length - a.posts.length || a.tag.localeCompare(b.tag));
+}
+
+export const feeds = {
+    rss: { file: "rss.xml", type: "application/rss+xml" },
+    atom: { file: "atom.xml", type: "application/atom+xml" },
+    json: { file: "feed.json", type: "application/feed+json" },
+};
+
+// `/en/blog/rss.xml`, …
+export function feedPath(kind, locale) {
+    return localizedPath(`/blog/${feeds[kind].file}`, locale);
+}
+
+// `alternates.types` for page metadata, so readers can discover the feeds.
+export function feedAlternates(locale) {
+    return Object.fromEntries(Object.entries(feeds).map(([kind, { type }]) => [type, feedPath(kind, locale)]));
+}
+
+// ─── FEEDS ───────────────────────────────────────────────────────
+const escapeXml = (text) => text.replace(/[<>&'"]/g, (char) => `&${{ "<": "lt", ">": "gt", "&": "amp", "'": "apos", '"': "quot" }[char]};`);
+const toDate = (date) => new Date(`${date}T00:00:00Z`);
+
+function feedContext(locale) {
+    const { blog } = getDictionary(locale);
+    return {
+        posts: getPosts(locale).map((post) => ({ ...post, url: localizedUrl(postPath(post.slug), locale) })),
+        title: blog.title,
+        description: blog.description,
+        home: localizedUrl("/blog", locale),
+        updatedAt: getBlogUpdatedAt(locale),
+    };
+}
+
+// https://www.rssboard.org/rss-specification
+export function toRss(locale) {
+    const { posts, title, description, home, updatedAt } = feedContext(locale);
+    const items = posts.map((post) => `
+        <item>
+            <title>${escapeXml(post.title)}</title>
+            <link>${post.url}</link>
+            <guid isPermaLink="true">${post.url}</guid>
+            <description>${escapeXml(post.description)}</description>
+            <pubDate>${toDate(post.date).toUTCString()}</pubDate>
+            ${post.tags.map((tag) => `<category>${escapeXml(tag)}</category>`).join("")}
+        </item>`).join("");
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+    <channel>
+        <title>${escapeXml(title)}</title>
+        <link>${home}</link>
+        <description>${escapeXml(description)}</description>
+        <language>${locale}</language>
+        <lastBuildDate>${toDate(updatedAt).toUTCString()}</lastBuildDate>
+        <atom:link href="${localizedUrl(`/blog/${feeds.rss.file}`, locale)}" rel="self" type="${feeds.rss.type}" />${items}
+    </channel>
+</rss>
+`;
+}
+
+// https://www.rfc-editor.org/rfc/rfc4287
+export function toAtom(locale) {
+    const { posts, title, description, home, updatedAt } = feedContext(locale);
+    const entries = posts.map((post) => `
+    <entry>
+        <title>${escapeXml(post.title)}</title>
+        <link href="${post.url}" />
+        <id>${post.url}</id>
+        <published>${toDate(post.date).toISOString()}</published>
+        <updated>${toDate(post.updatedAt).toISOString()}</updated>
+        <summary>${escapeXml(post.description)}</summary>
+        ${post.tags.map((tag) => `<category term="${escapeXml(tag)}" />`).join("")}
+    </entry>`).join("");
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${locale}">
+    <title>${escapeXml(title)}</title>
+    <subtitle>${escapeXml(description)}</subtitle>
+    <link href="${home}" />
+    <link href="${localizedUrl(`/blog/${feeds.atom.file}`, locale)}" rel="self" type="${feeds.atom.type}" />
+    <id>${home}</id>
+    <updated>${toDate(updatedAt).toISOString()}</updated>
+    <author>
+        <name>${escapeXml(person.name)}</name>
+        <uri>${localizedUrl("/", locale)}</uri>
+    </author>${entries}
+</feed>
+`;
+}
+
+// https://www.jsonfeed.org/version/1.1/
+export function toJsonFeed(locale) {
+    const { posts, title, description, home } = feedContext(locale);
+    return {
+        version: "https://jsonfeed.org/version/1.1",
+        title,
+        home_page_url: home,
+        feed_url: localizedUrl(`/blog/${feeds.json.file}`, locale),
+        description,
+        language: locale,
+        authors: [{ name: person.name, url: localizedUrl("/", locale) }],
+        items: posts.map((post) => ({
+            id: post.url,
+            url: post.url,
+            title: post.title,
+            content_text: post.description,
+            date_published: toDate(post.date).toISOString(),
+            date_modified: toDate(post.updatedAt).toISOString(),
+            tags: post.tags,
+            language: post.language,
+        })),
+    };
+}
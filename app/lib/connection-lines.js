@@ -0,0 +1,57 @@
+import * as THREE from "three";
+
+// ─── CONNECTION LINES ───────────────────────────────────────────
+// Every connection in the hero lives in one preallocated LineSegments
+// buffer: a frame calls begin(), add() per visible segment and commit(),
+// which rewrites positions and per-vertex alpha in place. That is one
+// draw call and no per-frame allocation, however many links there are.
+// The material's color and opacity apply on top of each vertex's alpha.
+
+export function createConnectionLines(capacity) {
+    const positions = new THREE.BufferAttribute(new Float32Array(capacity * 6), 3).setUsage(THREE.DynamicDrawUsage);
+    // RGBA per vertex; RGB stays white so the material color shows through.
+    const colors = new THREE.BufferAttribute(new Float32Array(capacity * 8).fill(1), 4).setUsage(THREE.DynamicDrawUsage);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", positions);
+    geometry.setAttribute("color", colors);
+    geometry.setDrawRange(0, 0);
+
+    const material = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, depthWrite: false });
+    const lines = new THREE.LineSegments(geometry, material);
+    lines.frustumCulled = false; // bounds change every frame; skip recomputing them
+
+    let count = 0;
+
+    return {
+        lines,
+        material,
+        begin() {
+            count = 0;
+        },
+        // `alpha` may exceed 1 to brighten a segment; the final alpha is alpha × material.opacity.
+        add(from, to, alpha) {
+            if (count >= capacity) return;
+            const p = positions.array;
+            const i = count * 6;
+            p[i] = from.x;
+            p[i + 1] = from.y;
+            p[i + 2] = from.z;
+            p[i + 3] = to.x;
+            p[i + 4] = to.y;
+            p[i + 5] = to.z;
+            colors.array[count * 8 + 3] = alpha;
+            colors.array[count * 8 + 7] = alpha;
+            count++;
+        },
+        commit() {
+            geometry.setDrawRange(0, count * 2);
+            positions.clearUpdateRanges();
+            positions.addUpdateRange(0, count * 6);
+            positions.needsUpdate = true;
+            colors.clearUpdateRanges();
+            colors.addUpdateRange(0, count * 8);
+            colors.needsUpdate = true;
+        },
+    };
+}
@@ -0,0 +1,112 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// ─── CONTACT DELIVERY ADAPTERS ───────────────────────────────────
+// Every adapter exposes `send(message)` and throws a DeliveryError when
+// the message could not be handed off. CONTACT_DELIVERY picks one:
+//   web3forms — POST to api.web3forms.com (WEB3FORMS_ACCESS_KEY)
+//   smtp      — nodemailer over SMTP_URL, to CONTACT_TO_EMAIL
+//   file      — append JSON lines to CONTACT_OUTBOX_FILE (dev/tests)
+//   console   — log to stdout (dev default)
+
+export class DeliveryError extends Error {
+    constructor(message, { cause } = {}) {
+        super(message, { cause });
+        this.name = "DeliveryError";
+    }
+}
+
+// A hung provider must not hold up the retry queue (retry.js) for long.
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const subjectFor = (message) => `Portfolio Contact from ${message.name}`;
+
+function requireEnv(name) {
+    const value = process.env[name];
+    if (!value) throw new DeliveryError(`${name} is not configured`);
+    return value;
+}
+
+const adapters = {
+    web3forms: () => {
+        const accessKey = requireEnv("WEB3FORMS_ACCESS_KEY");
+        return {
+            name: "web3forms",
+            async send(message) {
+                let data;
+                try {
+                    const res = await fetch("https://api.web3forms.com/submit", {
+                        method: "POST",
+                        headers: { "Content-Type": "application/json", Accept: "application/json" },
+                        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+                        body: JSON.stringify({
+                            access_key: accessKey,
+                            name: message.name,
+                            email: message.email,
+                            message: message.message,
+                            subject: subjectFor(message),
+                            from_name: "Portfolio Website",
+                        }),
+                    });
+                    data = await res.json();
+                } catch (err) {
+                    throw new DeliveryError("Web3Forms request failed", { cause: err });
+                }
+                if (!data.success) throw new DeliveryError(`Web3Forms rejected the message: ${data.message ?? "unknown error"}`);
+            },
+        };
+    },
+
+    smtp: () => {
+        const url = requireEnv("SMTP_URL");
+        const to = requireEnv("CONTACT_TO_EMAIL");
+        const from = process.env.CONTACT_FROM_EMAIL || to;
+        return {
+            name: "smtp",
+            async send(message) {
+                try {
+                    const { default: nodemailer } = await import("nodemailer");
+                    await nodemailer.createTransport(url).sendMail({
+                        from: `"Portfolio Website" <${from}>`,
+                        to,
+                        replyTo: `"${message.name.replace(/"/g, "")}" <${message.email}>`,
+                        subject: subjectFor(message),
+                        text: message.message,
+                    });
+                } catch (err) {
+                    throw new DeliveryError("SMTP delivery failed", { cause: err });
+                }
+            },
+        };
+    },
+
+    file: () => {
+        const file = path.resolve(process.env.CONTACT_OUTBOX_FILE || ".data/contact-outbox.jsonl");
+        return {
+            name: "file",
+            async send(message) {
+                try {
+                    await fs.mkdir(path.dirname(file), { recursive: true });
+                    await fs.appendFile(file, JSON.stringify({ ...message, subject: subjectFor(message), sentAt: new Date().toISOString() }) + "\n");
+                } catch (err) {
+                    throw new DeliveryError(`Could not write to ${file}`, { cause: err });
+                }
+            },
+        };
+    },
+
+    console: () => ({
+        name: "console",
+        async send(message) {
+            console.info(`[contact] ${subjectFor(message)} <${message.email}>\n${message.message}`);
+        },
+    }),
+};
+
+export function getDeliveryAdapter() {
+    const fallback = process.env.NODE_ENV === "production" ? "web3forms" : "console";
+    const name = process.env.CONTACT_DELIVERY || fallback;
+    const create = adapters[name];
+    if (!create) throw new DeliveryError(`Unknown CONTACT_DELIVERY "${name}" (expected ${Object.keys(adapters).join(", ")})`);
+    return create();
+}
@@ -0,0 +1,71 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// ─── CONTACT FORM TOKENS ─────────────────────────────────────────
+// The form asks GET /api/contact for a token when it mounts: the time it
+// was issued, signed with an HMAC. spam.js measures time-to-submit from
+// that, so a client can't pass the check by sending an old timestamp of
+// its own. The key is CONTACT_FORM_SECRET or, without one, a random key
+// kept in .data/ like the analytics salt, so tokens survive a restart.
+// A token is single-use: the message accepted with it spends it.
+
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const secretFile = () => path.resolve(".data/contact-form-secret");
+
+let secret;
+function loadSecret() {
+    secret ??= (async () => {
+        if (process.env.CONTACT_FORM_SECRET) return process.env.CONTACT_FORM_SECRET;
+        try {
+            return (await fs.readFile(secretFile(), "utf8")).trim();
+        } catch {
+            const value = crypto.randomBytes(32).toString("hex");
+            await fs.mkdir(path.dirname(secretFile()), { recursive: true });
+            await fs.writeFile(secretFile(), value);
+            return value;
+        }
+    })();
+    return secret;
+}
+
+// Spent tokens until they'd have expired anyway. In memory like the rate
+// limiter, so per instance and forgotten on restart.
+const spent = new Map();
+
+const sign = async (issuedAt) => crypto.createHmac("sha256", await loadSecret()).update(issuedAt).digest("base64url");
+
+export async function issueFormToken(now = Date.now()) {
+    const issuedAt = String(now);
+    return `${issuedAt}.${await sign(issuedAt)}`;
+}
+
+// { ok: true, token, issuedAt } for a genuine token, otherwise
+// { ok: false, reason }: "missing-token" (the form couldn't fetch one),
+// "expired-token", "used-token" or "bad-token" (forged or malformed).
+export async function readFormToken(token, now = Date.now()) {
+    if (typeof token !== "string" || !token) return { ok: false, reason: "missing-token" };
+    const [issuedAt, signature = ""] = token.split(".");
+    const expected = await sign(issuedAt);
+    const genuine = signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!genuine || !/^\d+$/.test(issuedAt)) return { ok: false, reason: "bad-token" };
+    if (now - Number(issuedAt) > MAX_AGE_MS) return { ok: false, reason: "expired-token" };
+    if (spent.has(token)) return { ok: false, reason: "used-token" };
+    return { ok: true, token, issuedAt: Number(issuedAt) };
+}
+
+// Marks a token read by readFormToken as used; false if it already was
+// (two requests racing with the same token).
+export function spendFormToken({ token, issuedAt }, now = Date.now()) {
+    for (const [key, expiresAt] of spent) if (expiresAt < now) spent.delete(key);
+    if (spent.has(token)) return false;
+    spent.set(token, issuedAt + MAX_AGE_MS);
+    return true;
+}
+
+// Gives a token back when its message was neither saved nor delivered,
+// so the visitor can send again.
+export function releaseFormToken({ token }) {
+    spent.delete(token);
+}
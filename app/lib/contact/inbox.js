@@ -0,0 +1,137 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// ─── CONTACT INBOX ───────────────────────────────────────────────
+// Every accepted message is saved here before it is delivered, so a
+// failed delivery never loses a lead (retry.js sends it again). The inbox
+// is one JSON file, CONTACT_INBOX_FILE; writes go through a queue and a
+// rename, so concurrent requests can't interleave and a crash mid-write
+// leaves the previous version intact.
+//
+// A message: { id, receivedAt, locale, name, email, message,
+//   status: new | replied | archived, notes,
+//   delivery: { state: pending | sent | failed, attempts, lastError, nextAttemptAt } }
+
+export const STATUSES = ["new", "replied", "archived"];
+
+const inboxFile = () => path.resolve(process.env.CONTACT_INBOX_FILE || ".data/contact-inbox.json");
+
+async function load() {
+    try {
+        return JSON.parse(await fs.readFile(inboxFile(), "utf8"));
+    } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+    }
+}
+
+async function save(messages) {
+    const file = inboxFile();
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(messages, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+}
+
+let writing = Promise.resolve();
+
+// Runs `change(messages)` against the latest file and saves the result.
+function mutate(change) {
+    const run = writing.then(async () => {
+        const messages = await load();
+        const result = change(messages);
+        await save(messages);
+        return result;
+    });
+    writing = run.catch(() => {});
+    return run;
+}
+
+// Not yet delivered; retry.js picks it up after `retryAt` if nothing
+// records a delivery first (say, the process dies mid-request).
+export function saveMessage({ name, email, message }, { locale, retryAt }) {
+    const saved = {
+        id: crypto.randomUUID(),
+        receivedAt: new Date().toISOString(),
+        locale,
+        name,
+        email,
+        message,
+        status: "new",
+        notes: "",
+        delivery: { state: "pending", attempts: 0, lastError: null, nextAttemptAt: retryAt.toISOString() },
+    };
+    return mutate((messages) => {
+        messages.push(saved);
+        return saved;
+    });
+}
+
+// `changes` may set `status`, `notes` or `delivery` (merged into the
+// current delivery state). Returns the updated message, or null.
+export function updateMessage(id, changes) {
+    if (changes.status !== undefined && !STATUSES.includes(changes.status)) {
+        throw new TypeError(`Unknown status "${changes.status}" (expected ${STATUSES.join(", ")})`);
+    }
+    return mutate((messages) => {
+        const message = messages.find((candidate) => candidate.id === id);
+        if (!message) return null;
+        if (changes.status !== undefined) message.status = changes.status;
+        if (changes.notes !== undefined) message.notes = changes.notes;
+        if (changes.delivery) message.delivery = { ...message.delivery, ...changes.delivery };
+        return message;
+    });
+}
+
+export async function getMessage(id) {
+    return (await load()).find((message) => message.id === id) ?? null;
+}
+
+// Newest first. `query` matches name, email, message and notes,
+// case-insensitively; `status` is one of STATUSES, or "failed" for
+// messages whose delivery hasn't gone through.
+export async function listMessages({ query = "", status = "" } = {}) {
+    const needle = query.trim().toLowerCase();
+    return (await load())
+        .filter((message) => {
+            if (status === "failed") return message.delivery.state !== "sent";
+            return !status || message.status === status;
+        })
+        .filter((message) => !needle || [message.name, message.email, message.message, message.notes].some((field) => field.toLowerCase().includes(needle)))
+        .reverse();
+}
+
+// Undelivered messages whose next attempt is due.
+export async function dueForDelivery(now = new Date()) {
+    return (await load()).filter(({ delivery }) =>
+        delivery.state !== "sent" && delivery.nextAttemptAt !== null && new Date(delivery.nextAttemptAt) <= now
+    );
+}
+
+// ─── CSV EXPORT ──────────────────────────────────────────────────
+const CSV_COLUMNS = [
+    ["id", (message) => message.id],
+    ["received_at", (message) => message.receivedAt],
+    ["status", (message) => message.status],
+    ["name", (message) => message.name],
+    ["email", (message) => message.email],
+    ["locale", (message) => message.locale],
+    ["message", (message) => message.message],
+    ["notes", (message) => message.notes],
+    ["delivery", (message) => message.delivery.state],
+    ["delivery_attempts", (message) => String(message.delivery.attempts)],
+    ["delivery_error", (message) => message.delivery.lastError ?? ""],
+];
+
+// Quoted per RFC 4180. Cells a spreadsheet would run as a formula
+// (=, +, -, @) get a leading apostrophe, since the text comes from visitors.
+function csvCell(value) {
+    const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    return `"${safe.replace(/"/g, '""')}"`;
+}
+
+// With a byte order mark so Excel reads it as UTF-8.
+export function inboxCsv(messages) {
+    const rows = [CSV_COLUMNS.map(([name]) => name), ...messages.map((message) => CSV_COLUMNS.map(([, value]) => csvCell(value(message))))];
+    return `\uFEFF${rows.map((row) => row.join(",")).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,86 @@
+import { DeliveryError, getDeliveryAdapter } from "./delivery";
+import { dueForDelivery, getMessage, updateMessage } from "./inbox";
+
+// ─── DELIVERY RETRY QUEUE ────────────────────────────────────────
+// Delivers inbox messages and, when the adapter fails, schedules the
+// next attempt with a growing delay. After the last one the message stays
+// "failed" until it is retried by hand from /admin/inbox. On a long-running
+// server instrumentation.js runs the queue every minute; elsewhere (e.g.
+// serverless) a cron can POST to /api/contact/retry.
+
+const BACKOFF_MINUTES = [1, 5, 30, 120, 720];
+export const MAX_ATTEMPTS = BACKOFF_MINUTES.length + 1;
+const INTERVAL_MS = 60 * 1000;
+
+// Where a just-saved message goes if its first delivery never finishes.
+export const firstRetryAt = (now = new Date()) => new Date(now.getTime() + BACKOFF_MINUTES[0] * 60 * 1000);
+
+// Sends one stored message and records the outcome; resolves true when
+// it was delivered. Any error counts as a failed attempt, not only a
+// DeliveryError, so a crashing adapter can't stall the queue.
+async function deliverMessage(message, now = new Date()) {
+    const attempts = message.delivery.attempts + 1;
+    try {
+        await getDeliveryAdapter().send({ name: message.name, email: message.email, message: message.message });
+    } catch (err) {
+        const delay = BACKOFF_MINUTES[attempts - 1];
+        await updateMessage(message.id, {
+            delivery: {
+                state: "failed",
+                attempts,
+                lastError: err instanceof DeliveryError && err.cause ? `${err.message}: ${err.cause.message ?? err.cause}` : err.message,
+                nextAttemptAt: delay === undefined ? null : new Date(now.getTime() + delay * 60 * 1000).toISOString(),
+            },
+        });
+        console.error(`[contact] delivery attempt ${attempts}/${MAX_ATTEMPTS} failed for ${message.id}:`, err.message, err.cause ?? "");
+        return false;
+    }
+    await updateMessage(message.id, { delivery: { state: "sent", attempts, lastError: null, nextAttemptAt: null } });
+    return true;
+}
+
+// Queue runs and manual retries take turns, so a message is never sent
+// twice at once.
+let turn = Promise.resolve();
+function exclusive(task) {
+    const run = turn.then(task);
+    turn = run.catch(() => {});
+    return run;
+}
+
+// Delivers one message as soon as it's its turn, whatever its schedule:
+// the first attempt after /api/contact has answered, and manual retries
+// from the inbox.
+export function deliverNow(id) {
+    return exclusive(async () => {
+        const message = await getMessage(id);
+        if (!message || message.delivery.state === "sent") return false;
+        return deliverMessage(message);
+    });
+}
+
+let waiting = null;
+
+// Delivers everything that's due, one at a time. Calls made while a run
+// is still waiting for its turn share that run.
+export function retryDueDeliveries() {
+    waiting ??= exclusive(async () => {
+        waiting = null;
+        let sent = 0;
+        let failed = 0;
+        for (const message of await dueForDelivery()) {
+            if (await deliverMessage(message)) sent++;
+            else failed++;
+        }
+        return { sent, failed };
+    });
+    return waiting;
+}
+
+export function startRetryQueue() {
+    const timer = setInterval(() => {
+        retryDueDeliveries().catch((err) => console.error("[contact] retry queue failed:", err));
+    }, INTERVAL_MS);
+    // Don't keep the process alive just for the queue.
+    timer.unref();
+}
@@ -0,0 +1,72 @@
+import { createRateLimiter } from "../rate-limit";
+import { format } from "../i18n/locale";
+import { spendFormToken } from "./form-token";
+import { HONEYPOT_FIELD } from "./validation";
+
+// ─── CONTACT SPAM FILTER ─────────────────────────────────────────
+// Layered checks run before delivery. `silent` rejections look like a
+// success to the sender so bots get no signal to adapt to; only the
+// honeypot and forged tokens get one, since a person never trips those.
+
+export const MIN_SUBMIT_MS = 3000;
+
+const MAX_LINKS = 2;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+// Sales-pitch phrases only. Industry words (crypto, forex, lending…) stay
+// out: they turn up in real project inquiries, and fintech is work this
+// portfolio shows.
+const SPAM_PHRASES = [
+    "seo services",
+    "rank your website",
+    "first page of google",
+    "backlinks",
+    "guest post",
+    "casino",
+    "viagra",
+    "loan offer",
+    "increase your traffic",
+    "web design services at",
+    "buy followers",
+    "this is not spam",
+];
+
+const limiter = createRateLimiter({ limit: 5, windowMs: 10 * 60 * 1000 });
+
+// `messages` is the dictionary's `contact.errors`, as in validateContact.
+// `token` is readFormToken()'s verdict on the form token the body carried.
+export function checkSubmission({ values, body, ip, messages, token, now = Date.now() }) {
+    if (typeof body?.[HONEYPOT_FIELD] === "string" && body[HONEYPOT_FIELD].trim()) {
+        return { ok: false, reason: "honeypot", silent: true };
+    }
+
+    // A forged token gets nothing to go on. A missing, expired or used one
+    // can be a real visitor (a failed fetch, a tab left open for days, a
+    // resend), so they're told to send again; the form fetches a new token.
+    if (!token.ok) {
+        if (token.reason === "bad-token") return { ok: false, reason: token.reason, silent: true };
+        return { ok: false, reason: token.reason, status: token.reason === "used-token" ? 409 : 400, error: messages.formExpired };
+    }
+    // Someone sending a restored draft can be this quick too, so this is
+    // an error they can retry, not a silent drop. 425 Too Early tells the
+    // form to keep its token.
+    if (now - token.issuedAt < MIN_SUBMIT_MS) {
+        return { ok: false, reason: "too-fast", status: 425, error: messages.tooFast };
+    }
+
+    const { allowed, retryAfter } = limiter.hit(ip, now);
+    if (!allowed) return { ok: false, reason: "rate-limited", status: 429, retryAfter };
+
+    const text = `${values.name}\n${values.message}`.toLowerCase();
+    const links = text.match(LINK_PATTERN)?.length ?? 0;
+    if (links > MAX_LINKS) {
+        return { ok: false, reason: `too-many-links (${links})`, status: 422, field: "message", error: format(messages.tooManyLinks, { max: MAX_LINKS }) };
+    }
+    const phrase = SPAM_PHRASES.find((p) => text.includes(p));
+    if (phrase) {
+        return { ok: false, reason: `spam-phrase "${phrase}"`, status: 422, field: "message", error: messages.spam };
+    }
+
+    // Spent last, so a rejected attempt leaves the token usable.
+    if (!spendFormToken(token, now)) return { ok: false, reason: "used-token", status: 409, error: messages.formExpired };
+    return { ok: true };
+}
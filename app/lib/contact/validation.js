@@ -0,0 +1,43 @@
+import { format } from "../i18n/locale";
+
+// ─── CONTACT FORM VALIDATION ─────────────────────────────────────
+// Shared by the /api/contact route and the form, so both sides agree on
+// what a valid message looks like. `messages` is the active dictionary's
+// `contact.errors` (app/lib/i18n), so errors come back in the visitor's
+// language.
+
+export const LIMITS = {
+    name: { min: 2, max: 100 },
+    email: { max: 254 },
+    message: { min: 10, max: 5000 },
+};
+
+// Hidden input that real visitors never fill in; see spam.js.
+export const HONEYPOT_FIELD = "website";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const clean = (value) => (typeof value === "string" ? value.trim() : "");
+
+export function validateContact(input, messages) {
+    const values = {
+        name: clean(input?.name),
+        email: clean(input?.email),
+        message: clean(input?.message),
+    };
+    const errors = {};
+
+    if (!values.name) errors.name = messages.nameRequired;
+    else if (values.name.length < LIMITS.name.min) errors.name = format(messages.nameTooShort, LIMITS.name);
+    else if (values.name.length > LIMITS.name.max) errors.name = format(messages.nameTooLong, LIMITS.name);
+
+    if (!values.email) errors.email = messages.emailRequired;
+    else if (values.email.length > LIMITS.email.max) errors.email = format(messages.emailTooLong, LIMITS.email);
+    else if (!EMAIL_PATTERN.test(values.email)) errors.email = messages.emailInvalid;
+
+    if (!values.message) errors.message = messages.messageRequired;
+    else if (values.message.length < LIMITS.message.min) errors.message = format(messages.messageTooShort, LIMITS.message);
+    else if (values.message.length > LIMITS.message.max) errors.message = format(messages.messageTooLong, LIMITS.message);
+
+    return { values, errors, valid: Object.keys(errors).length === 0 };
+}
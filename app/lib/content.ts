@@ -0,0 +1,527 @@
+import fs from "node:fs";
+import path from "node:path";
+import matter from "gray-matter";
+import { defaultLocale } from "./site";
+
+// ─── CONTENT LAYER ──────────────────────────────────────────────
+// Skills, experience and projects live as JSON under /content, blog posts
+// as MDX with frontmatter under /content/blog. Every
+// entry is validated when it is loaded, so a malformed file fails the
+// static build instead of shipping a broken card.
+//
+// Translations live under /content/<locale>/ with the same file names and
+// only the text fields they replace; anything left out falls back to the
+// English entry.
+
+const CONTENT_DIR = path.join(process.cwd(), "content");
+
+export type Skill = {
+    icon: string;
+    title: string;
+    items: string[];
+    color: string;
+};
+
+export type Experience = {
+    company: string;
+    role: string;
+    period: string;
+    highlights: string[];
+};
+
+// Two skill categories are linked when projects use technologies from both.
+export type SkillLink = {
+    from: number; // index into getSkills()
+    to: number;
+    projects: string[]; // slugs of the projects that share them
+};
+
+// A role-tailored résumé: which skill categories, highlights and projects
+// it keeps. Skills are English category titles, highlights are indices
+// into that company's list, projects are slugs.
+export type ResumeVariant = {
+    slug: string;
+    label: string;
+    title: string;
+    summary: string;
+    skills: string[];
+    experience: { company: string; highlights: number[] }[];
+    projects: string[];
+};
+
+// What backs up a single technology in a skill card.
+export type SkillEvidence = {
+    projects: string[]; // slugs of the projects tagged with it
+    roles: number[]; // indices into getExperience() whose highlights name it
+};
+
+export type Metric = {
+    value: string;
+    label: string;
+};
+
+export type CaseStudy = {
+    approvedAt?: string; // YYYY-MM-DD the owner signed the text off; drafts only show in development
+    problem: string[];
+    approach: string[];
+    architecture: string[];
+    results: string[];
+};
+
+export type GalleryImage = {
+    src: string;
+    alt: string;
+    width: number;
+    height: number;
+    caption?: string;
+};
+
+export type Project = {
+    slug: string;
+    order: number;
+    updatedAt: string;
+    title: string;
+    description: string;
+    industry: string; // key into the dictionary's `projects.industries`
+    applicationCategory?: string; // set for shipped apps; see structured-data.js
+    tags: string[];
+    gradient: string;
+    metrics: Metric[];
+    caseStudy: CaseStudy;
+    gallery?: GalleryImage[];
+};
+
+export type Post = {
+    slug: string;
+    title: string;
+    description: string;
+    date: string; // first published, YYYY-MM-DD
+    updatedAt: string;
+    tags: string[];
+    body: string; // MDX source
+    language: string; // locale the body is written in; English until translated
+    readingTime: number; // minutes
+};
+
+// ─── SCHEMA ─────────────────────────────────────────────────────
+type FieldSpec = { optional?: boolean } & (
+    | { type: "string"; pattern?: RegExp; hint?: string }
+    | { type: "number" }
+    | { type: "strings"; minItems?: number }
+    | { type: "indices"; minItems?: number }
+    | { type: "object"; of: Schema }
+    | { type: "objects"; of: Schema; minItems?: number }
+);
+type Schema = Record<string, FieldSpec>;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const GRADIENT = /^linear-gradient\(\s*\d+deg(\s*,\s*#[0-9a-f]{6}\s+-?\d+%)+\s*\)$/i;
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const APPLICATION_CATEGORY = /^[A-Z][A-Za-z]*Application$/;
+const PUBLIC_PATH = /^\/[^\s]+\.(png|jpe?g|webp|avif|svg)$/i;
+
+const skillSchema: Schema = {
+    icon: { type: "string" },
+    title: { type: "string" },
+    items: { type: "strings", minItems: 1 },
+    color: { type: "string", pattern: HEX_COLOR, hint: "a #rrggbb hex color" },
+};
+
+const experienceSchema: Schema = {
+    company: { type: "string" },
+    role: { type: "string" },
+    period: { type: "string" },
+    highlights: { type: "strings", minItems: 1 },
+};
+
+const metricSchema: Schema = {
+    value: { type: "string" },
+    label: { type: "string" },
+};
+
+const resumeVariantSchema: Schema = {
+    slug: { type: "string", pattern: SLUG, hint: "a kebab-case slug, e.g. frontend" },
+    label: { type: "string" },
+    title: { type: "string" },
+    summary: { type: "string" },
+    skills: { type: "strings", minItems: 1 },
+    experience: {
+        type: "objects",
+        of: { company: { type: "string" }, highlights: { type: "indices", minItems: 1 } },
+        minItems: 1,
+    },
+    projects: { type: "strings", minItems: 1 },
+};
+
+const caseStudySchema: Schema = {
+    approvedAt: { type: "string", pattern: ISO_DATE, hint: "a YYYY-MM-DD date", optional: true },
+    problem: { type: "strings", minItems: 1 },
+    approach: { type: "strings", minItems: 1 },
+    architecture: { type: "strings", minItems: 1 },
+    results: { type: "strings", minItems: 1 },
+};
+
+const galleryImageSchema: Schema = {
+    src: { type: "string", pattern: PUBLIC_PATH, hint: "an image path under /public, e.g. /projects/<slug>/1.png" },
+    alt: { type: "string" },
+    width: { type: "number" },
+    height: { type: "number" },
+    caption: { type: "string", optional: true },
+};
+
+const projectSchema: Schema = {
+    order: { type: "number" },
+    updatedAt: { type: "string", pattern: ISO_DATE, hint: "a YYYY-MM-DD date" },
+    title: { type: "string" },
+    description: { type: "string" },
+    industry: { type: "string", pattern: SLUG, hint: "a kebab-case industry key, e.g. real-estate" },
+    applicationCategory: { type: "string", pattern: APPLICATION_CATEGORY, hint: "a schema.org application category, e.g. FinanceApplication", optional: true },
+    tags: { type: "strings", minItems: 1 },
+    gradient: { type: "string", pattern: GRADIENT, hint: "linear-gradient(<deg>, #rrggbb <pos>%, ...)" },
+    metrics: { type: "objects", of: metricSchema, minItems: 1 },
+    caseStudy: { type: "object", of: caseStudySchema },
+    gallery: { type: "objects", of: galleryImageSchema, optional: true },
+};
+
+// Same rules as `schema`, limited to `keys` and all optional: a translation
+// only carries the text it replaces.
+function translatable(schema: Schema, keys: string[]): Schema {
+    return Object.fromEntries(keys.map((key) => [key, { ...schema[key], optional: true }]));
+}
+
+const skillTranslationSchema = translatable(skillSchema, ["title"]);
+
+const experienceTranslationSchema = translatable(experienceSchema, ["role", "period", "highlights"]);
+
+const resumeVariantTranslationSchema = translatable(resumeVariantSchema, ["label", "title", "summary"]);
+
+const projectTranslationSchema: Schema = {
+    updatedAt: projectSchema.updatedAt,
+    ...translatable(projectSchema, ["title", "description"]),
+    metrics: { type: "objects", of: translatable(metricSchema, ["value", "label"]), optional: true },
+    caseStudy: { type: "object", of: translatable(caseStudySchema, ["problem", "approach", "architecture", "results"]), optional: true },
+    gallery: { type: "objects", of: translatable(galleryImageSchema, ["alt", "caption"]), optional: true },
+};
+
+const postSchema: Schema = {
+    title: { type: "string" },
+    description: { type: "string" },
+    date: { type: "string", pattern: ISO_DATE, hint: "a YYYY-MM-DD date" },
+    updatedAt: { type: "string", pattern: ISO_DATE, hint: "a YYYY-MM-DD date", optional: true },
+    tags: { type: "strings", minItems: 1 },
+};
+
+// A translated post replaces the whole body; tags stay English so tag pages
+// line up across languages.
+const postTranslationSchema = translatable(postSchema, ["title", "description", "updatedAt"]);
+
+export class ContentValidationError extends Error {
+    constructor(file: string, issues: string[]) {
+        super(`Invalid content in ${file}:\n  - ${issues.join("\n  - ")}`);
+        this.name = "ContentValidationError";
+    }
+}
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+    typeof value === "object" && value !== null && !Array.isArray(value);
+
+function validate(value: unknown, schema: Schema, at: string, issues: string[]) {
+    if (!isObject(value)) {
+        issues.push(`${at} must be an object`);
+        return;
+    }
+    for (const key of Object.keys(value)) {
+        if (!(key in schema)) issues.push(`${at}.${key} is not a known field`);
+    }
+    for (const [key, spec] of Object.entries(schema)) {
+        const field = value[key];
+        const where = `${at}.${key}`;
+        if (field === undefined) {
+            if (!spec.optional) issues.push(`${where} is required`);
+            continue;
+        }
+        switch (spec.type) {
+            case "string":
+                if (typeof field !== "string" || !field.trim()) issues.push(`${where} must be a non-empty string`);
+                else if (spec.pattern && !spec.pattern.test(field)) issues.push(`${where} must be ${spec.hint} (got "${field}")`);
+                break;
+            case "number":
+                if (typeof field !== "number" || !Number.isFinite(field)) issues.push(`${where} must be a number`);
+                break;
+            case "strings":
+                if (!Array.isArray(field) || field.some((item) => typeof item !== "string" || !item.trim())) {
+                    issues.push(`${where} must be a list of non-empty strings`);
+                } else if (field.length < (spec.minItems ?? 0)) {
+                    issues.push(`${where} needs at least ${spec.minItems} item(s)`);
+                }
+                break;
+            case "indices":
+                if (!Array.isArray(field) || field.some((item) => !Number.isInteger(item) || item < 0)) {
+                    issues.push(`${where} must be a list of whole numbers (0 is the first item)`);
+                } else if (field.length < (spec.minItems ?? 0)) {
+                    issues.push(`${where} needs at least ${spec.minItems} item(s)`);
+                }
+                break;
+            case "object":
+                validate(field, spec.of, where, issues);
+                break;
+            case "objects":
+                if (!Array.isArray(field)) {
+                    issues.push(`${where} must be a list`);
+                } else {
+                    if (field.length < (spec.minItems ?? 0)) issues.push(`${where} needs at least ${spec.minItems} item(s)`);
+                    field.forEach((item, i) => validate(item, spec.of, `${where}[${i}]`, issues));
+                }
+                break;
+        }
+    }
+}
+
+// ─── LOADERS ────────────────────────────────────────────────────
+function readJson(file: string): unknown {
+    const fullPath = path.join(CONTENT_DIR, file);
+    try {
+        return JSON.parse(fs.readFileSync(fullPath, "utf8"));
+    } catch (err) {
+        throw new ContentValidationError(file, [(err as Error).message]);
+    }
+}
+
+// `content/<locale>/<file>`, or null when the default locale is asked for or
+// nothing has been translated yet.
+function readTranslation(locale: string, file: string): { file: string; data: unknown } | null {
+    if (locale === defaultLocale) return null;
+    const translated = path.join(locale, file);
+    if (!fs.existsSync(path.join(CONTENT_DIR, translated))) return null;
+    return { file: translated, data: readJson(translated) };
+}
+
+// Lays translated fields over the English value. Lists of objects are
+// matched by position, so they must have the same length as the original.
+function applyTranslation<T>(base: T, translation: Record<string, unknown>, at: string, issues: string[]): T {
+    const result: Record<string, unknown> = { ...(base as Record<string, unknown>) };
+    for (const [key, value] of Object.entries(translation)) {
+        const original = result[key];
+        const where = `${at}.${key}`;
+        if (Array.isArray(value) && Array.isArray(original) && isObject(original[0])) {
+            if (value.length !== original.length) {
+                issues.push(`${where} has ${value.length} item(s) but the original has ${original.length}`);
+                continue;
+            }
+            result[key] = original.map((item, i) => applyTranslation(item, value[i], `${where}[${i}]`, issues));
+        } else if (isObject(value) && isObject(original)) {
+            result[key] = applyTranslation(original, value, where, issues);
+        } else {
+            result[key] = value;
+        }
+    }
+    return result as T;
+}
+
+const latest = (...dates: string[]) => dates.sort().at(-1) as string;
+
+// List files are `{ "updatedAt": "YYYY-MM-DD", "entries": [...] }` so the
+// sitemap can report when each piece of content last changed.
+function loadCollection<T>(file: string, schema: Schema, translationSchema: Schema, locale: string): { updatedAt: string; entries: T[] } {
+    const data = readJson(file);
+    const issues: string[] = [];
+    validate(data, {
+        updatedAt: { type: "string", pattern: ISO_DATE, hint: "a YYYY-MM-DD date" },
+        entries: { type: "objects", of: schema, minItems: 1 },
+    }, "root", issues);
+    if (issues.length) throw new ContentValidationError(file, issues);
+    const collection = data as { updatedAt: string; entries: T[] };
+
+    const translation = readTranslation(locale, file);
+    if (!translation) return collection;
+    validate(translation.data, {
+        updatedAt: { type: "string", pattern: ISO_DATE, hint: "a YYYY-MM-DD date" },
+        entries: { type: "objects", of: translationSchema },
+    }, "root", issues);
+    if (issues.length) throw new ContentValidationError(translation.file, issues);
+    const translated = translation.data as { updatedAt: string; entries: Record<string, unknown>[] };
+    const { entries } = applyTranslation(collection, { entries: translated.entries }, "root", issues);
+    if (issues.length) throw new ContentValidationError(translation.file, issues);
+    return { updatedAt: latest(collection.updatedAt, translated.updatedAt), entries };
+}
+
+export function getSkills(locale: string = defaultLocale): Skill[] {
+    return loadCollection<Skill>("skills.json", skillSchema, skillTranslationSchema, locale).entries;
+}
+
+export function getExperience(locale: string = defaultLocale): Experience[] {
+    return loadCollection<Experience>("experience.json", experienceSchema, experienceTranslationSchema, locale).entries;
+}
+
+export function getProjects(locale: string = defaultLocale): Project[] {
+    const files = fs.readdirSync(path.join(CONTENT_DIR, "projects")).filter((f) => f.endsWith(".json"));
+    const projects = files.map((name) => {
+        const file = `projects/${name}`;
+        const slug = name.replace(/\.json$/, "");
+        const data = readJson(file);
+        const issues: string[] = [];
+        if (!SLUG.test(slug)) issues.push(`file name must be a kebab-case slug (got "${slug}")`);
+        validate(data, projectSchema, "project", issues);
+        if (issues.length) throw new ContentValidationError(file, issues);
+        const project = { slug, ...(data as Omit<Project, "slug">) };
+
+        const translation = readTranslation(locale, file);
+        if (!translation) return project;
+        validate(translation.data, projectTranslationSchema, "project", issues);
+        if (issues.length) throw new ContentValidationError(translation.file, issues);
+        const translated = applyTranslation(project, translation.data as Record<string, unknown>, "project", issues);
+        if (issues.length) throw new ContentValidationError(translation.file, issues);
+        return { ...translated, updatedAt: latest(project.updatedAt, translated.updatedAt) };
+    });
+    return projects.sort((a, b) => a.order - b.order);
+}
+
+export function getProject(slug: string, locale: string = defaultLocale): Project | undefined {
+    return getProjects(locale).find((project) => project.slug === slug);
+}
+
+// Project tags and skill items name the same technology regardless of case.
+const sameTech = (a: string, b: string) => a.toLowerCase() === b.toLowerCase();
+
+export function getSkillLinks(): SkillLink[] {
+    const skills = getSkills();
+    const categoriesOf = (tag: string) =>
+        skills.flatMap((skill, i) => (skill.items.some((item) => sameTech(item, tag)) ? [i] : []));
+
+    const links = new Map<string, SkillLink>();
+    for (const project of getProjects()) {
+        const categories = [...new Set(project.tags.flatMap(categoriesOf))].sort((a, b) => a - b);
+        categories.forEach((from, i) => {
+            for (const to of categories.slice(i + 1)) {
+                const key = `${from}-${to}`;
+                if (!links.has(key)) links.set(key, { from, to, projects: [] });
+                links.get(key)!.projects.push(project.slug);
+            }
+        });
+    }
+    return [...links.values()];
+}
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+
+// Keyed by skill item. Highlights are matched by whole name, longest
+// first, so "React Native" isn't also counted as "React".
+export function getSkillEvidence(): Record<string, SkillEvidence> {
+    const items = [...new Set(getSkills().flatMap((skill) => skill.items))];
+    const byLength = [...items].sort((a, b) => b.length - a.length);
+    const mentions = getExperience().map(({ highlights }) => {
+        let text = highlights.join("\n");
+        const named = new Set<string>();
+        for (const item of byLength) {
+            const pattern = new RegExp(`(?<![\\w.])${escapeRegExp(item)}(?!\\w)`, "g");
+            const rest = text.replace(pattern, " ");
+            if (rest !== text) named.add(item);
+            text = rest;
+        }
+        return named;
+    });
+    const projects = getProjects();
+    return Object.fromEntries(items.map((item) => [item, {
+        projects: projects.filter((project) => project.tags.some((tag) => sameTech(tag, item))).map((project) => project.slug),
+        roles: mentions.flatMap((named, i) => (named.has(item) ? [i] : [])),
+    }]));
+}
+
+// Variants point at skills, experience and projects by name, so every
+// reference is checked against the English content.
+export function getResumeVariants(locale: string = defaultLocale): ResumeVariant[] {
+    const { entries } = loadCollection<ResumeVariant>("resumes.json", resumeVariantSchema, resumeVariantTranslationSchema, locale);
+    const skills = getSkills();
+    const experience = getExperience();
+    const projects = getProjects();
+    const issues: string[] = [];
+    entries.forEach((variant, i) => {
+        const at = `root.entries[${i}]`;
+        if (entries.findIndex((other) => other.slug === variant.slug) !== i) issues.push(`${at}.slug "${variant.slug}" is used twice`);
+        variant.skills.forEach((title) => {
+            if (!skills.some((skill) => skill.title === title)) issues.push(`${at}.skills has no skill category titled "${title}"`);
+        });
+        variant.experience.forEach(({ company, highlights }, j) => {
+            const role = experience.find((entry) => entry.company === company);
+            if (!role) issues.push(`${at}.experience[${j}].company has no experience entry for "${company}"`);
+            else if (highlights.some((index) => index >= role.highlights.length)) {
+                issues.push(`${at}.experience[${j}].highlights must be below ${role.highlights.length} for "${company}"`);
+            }
+        });
+        variant.projects.forEach((slug) => {
+            if (!projects.some((project) => project.slug === slug)) issues.push(`${at}.projects has no project "${slug}"`);
+        });
+    });
+    if (issues.length) throw new ContentValidationError("resumes.json", issues);
+    return entries;
+}
+
+export function getResumeUpdatedAt(locale: string = defaultLocale): string {
+    return latest(
+        getHomeUpdatedAt(locale),
+        loadCollection("resumes.json", resumeVariantSchema, resumeVariantTranslationSchema, locale).updatedAt
+    );
+}
+
+// Latest change across everything rendered on the home page.
+export function getHomeUpdatedAt(locale: string = defaultLocale): string {
+    return latest(
+        loadCollection("skills.json", skillSchema, skillTranslationSchema, locale).updatedAt,
+        loadCollection("experience.json", experienceSchema, experienceTranslationSchema, locale).updatedAt,
+        ...getProjects(locale).map((project) => project.updatedAt)
+    );
+}
+
+// ─── BLOG ───────────────────────────────────────────────────────
+const WORDS_PER_MINUTE = 200;
+
+// YAML reads unquoted `2026-03-10` as a Date; the schema wants the string.
+function readFrontmatter(file: string): { data: Record<string, unknown>; body: string } {
+    const { data, content } = matter(fs.readFileSync(path.join(CONTENT_DIR, file), "utf8"));
+    const fields = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, value instanceof Date ? value.toISOString().slice(0, 10) : value]));
+    return { data: fields, body: content };
+}
+
+// Newest first. `content/<locale>/blog/<slug>.mdx` replaces a post's body
+// (and optionally title and description); without one the English post is
+// shown with `language` left as "en".
+export function getPosts(locale: string = defaultLocale): Post[] {
+    const files = fs.readdirSync(path.join(CONTENT_DIR, "blog")).filter((f) => f.endsWith(".mdx"));
+    const posts = files.map((name) => {
+        const file = `blog/${name}`;
+        const slug = name.replace(/\.mdx$/, "");
+        const { data, body } = readFrontmatter(file);
+        const issues: string[] = [];
+        if (!SLUG.test(slug)) issues.push(`file name must be a kebab-case slug (got "${slug}")`);
+        validate(data, postSchema, "frontmatter", issues);
+        if (issues.length) throw new ContentValidationError(file, issues);
+        const post = data as Omit<Post, "slug" | "body" | "language" | "readingTime">;
+
+        const translated = path.join(locale, file);
+        const translation = locale !== defaultLocale && fs.existsSync(path.join(CONTENT_DIR, translated)) ? readFrontmatter(translated) : null;
+        if (translation) {
+            validate(translation.data, postTranslationSchema, "frontmatter", issues);
+            if (issues.length) throw new ContentValidationError(translated, issues);
+        }
+        const text = translation?.body ?? body;
+        return {
+            ...post,
+            ...translation?.data,
+            slug,
+            updatedAt: latest(...[post.date, post.updatedAt, translation?.data.updatedAt].filter((date): date is string => typeof date === "string")),
+            body: text,
+            language: translation ? locale : defaultLocale,
+            readingTime: Math.ceil(text.split(/\s+/).filter(Boolean).length / WORDS_PER_MINUTE),
+        };
+    });
+    return posts.sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+}
+
+export function getPost(slug: string, locale: string = defaultLocale): Post | undefined {
+    return getPosts(locale).find((post) => post.slug === slug);
+}
+
+export function getBlogUpdatedAt(locale: string = defaultLocale): string {
+    return latest(...getPosts(locale).map((post) => post.updatedAt));
+}
@@ -0,0 +1,121 @@
+// ─── HERO CAMERA INPUT ──────────────────────────────────────────
+// Turns every way of "looking around" into one target point in
+// [-1, 1] × [-1, 1] that ThreeScene eases its camera towards:
+//   • mouse    — cursor position over the window (the original behavior)
+//   • touch    — dragging inside the hero, with inertia after release
+//   • tilt     — device orientation, once permission is granted where needed
+//   • keyboard — arrow keys while the scene has focus
+
+const DRAG_RANGE_PX = 240; // drag distance that spans the full target range
+const INERTIA_DECAY = 0.04; // fraction of fling velocity left after one second
+const TILT_RANGE_DEG = 30;
+const KEY_STEP = 0.25;
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+// iOS 13+ only fires deviceorientation after an explicit, gesture-triggered prompt.
+export function tiltNeedsPermission() {
+    return typeof DeviceOrientationEvent !== "undefined"
+        && typeof DeviceOrientationEvent.requestPermission === "function"
+        && window.matchMedia("(pointer: coarse)").matches;
+}
+
+// Must be called from a click/tap handler.
+export async function requestTiltPermission() {
+    try {
+        return (await DeviceOrientationEvent.requestPermission()) === "granted";
+    } catch {
+        return false;
+    }
+}
+
+export function createHeroInput(element) {
+    const target = { x: 0, y: 0 };
+    const velocity = { x: 0, y: 0 };
+    let drag = null; // { id, x, y, time } of the active touch
+    let tiltBaseline = null;
+
+    const inside = (e) => {
+        const rect = element.getBoundingClientRect();
+        return e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom;
+    };
+
+    const onPointerMove = (e) => {
+        if (e.pointerType === "mouse") {
+            target.x = (e.clientX / window.innerWidth) * 2 - 1;
+            target.y = -(e.clientY / window.innerHeight) * 2 + 1;
+            return;
+        }
+        if (!drag || e.pointerId !== drag.id) return;
+        const dt = Math.max(1, e.timeStamp - drag.time) / 1000;
+        const dx = (e.clientX - drag.x) / DRAG_RANGE_PX;
+        const dy = -(e.clientY - drag.y) / DRAG_RANGE_PX;
+        target.x = clamp(target.x + dx);
+        target.y = clamp(target.y + dy);
+        velocity.x = dx / dt;
+        velocity.y = dy / dt;
+        drag = { id: e.pointerId, x: e.clientX, y: e.clientY, time: e.timeStamp };
+    };
+
+    const onPointerDown = (e) => {
+        if (e.pointerType === "mouse" || drag || !inside(e)) return;
+        drag = { id: e.pointerId, x: e.clientX, y: e.clientY, time: e.timeStamp };
+        velocity.x = velocity.y = 0;
+    };
+
+    // pointercancel fires when the browser takes over for a vertical scroll.
+    const onPointerEnd = (e) => {
+        if (drag && e.pointerId === drag.id) drag = null;
+    };
+
+    const onOrientation = (e) => {
+        if (e.beta === null || e.gamma === null) return;
+        // Landscape swaps which axis is "left/right" for the viewer.
+        const angle = window.screen.orientation?.angle ?? 0;
+        const [sideways, forward] = angle === 90 ? [e.beta, -e.gamma]
+            : angle === 270 || angle === -90 ? [-e.beta, e.gamma]
+                : [e.gamma, e.beta];
+        // However the device is held at first counts as "centered".
+        tiltBaseline ??= forward;
+        target.x = clamp(sideways / TILT_RANGE_DEG);
+        target.y = clamp(-(forward - tiltBaseline) / TILT_RANGE_DEG);
+    };
+
+    const onKeyDown = (e) => {
+        const moves = { ArrowLeft: [-KEY_STEP, 0], ArrowRight: [KEY_STEP, 0], ArrowUp: [0, KEY_STEP], ArrowDown: [0, -KEY_STEP] };
+        const move = moves[e.key];
+        if (!move) return;
+        e.preventDefault();
+        target.x = clamp(target.x + move[0]);
+        target.y = clamp(target.y + move[1]);
+    };
+
+    window.addEventListener("pointermove", onPointerMove);
+    window.addEventListener("pointerdown", onPointerDown);
+    window.addEventListener("pointerup", onPointerEnd);
+    window.addEventListener("pointercancel", onPointerEnd);
+    window.addEventListener("deviceorientation", onOrientation);
+    element.addEventListener("keydown", onKeyDown);
+
+    return {
+        // Advances touch inertia and returns the point to ease towards.
+        update(delta) {
+            if (!drag && (velocity.x || velocity.y)) {
+                target.x = clamp(target.x + velocity.x * delta);
+                target.y = clamp(target.y + velocity.y * delta);
+                const decay = Math.pow(INERTIA_DECAY, delta);
+                velocity.x = Math.abs(velocity.x * decay) < 0.01 ? 0 : velocity.x * decay;
+                velocity.y = Math.abs(velocity.y * decay) < 0.01 ? 0 : velocity.y * decay;
+            }
+            return target;
+        },
+        dispose() {
+            window.removeEventListener("pointermove", onPointerMove);
+            window.removeEventListener("pointerdown", onPointerDown);
+            window.removeEventListener("pointerup", onPointerEnd);
+            window.removeEventListener("pointercancel", onPointerEnd);
+            window.removeEventListener("deviceorientation", onOrientation);
+            element.removeEventListener("keydown", onKeyDown);
+        },
+    };
+}
@@ -0,0 +1,29 @@
+import { defaultLocale, locales } from "../site";
+import { isLocale } from "./locale";
+import en from "./en.json";
+import es from "./es.json";
+
+// ─── DICTIONARIES ────────────────────────────────────────────────
+// UI strings per locale. Server code picks one with `getDictionary` and
+// hands it to client components through <I18nProvider>, so the browser
+// only downloads the active language. Adding a locale means a new JSON
+// file here and an entry in `locales` (site.js).
+const dictionaries = { en, es };
+
+const keysOf = (value, prefix = "") =>
+    Object.entries(value).flatMap(([key, child]) =>
+        child && typeof child === "object" && !Array.isArray(child) ? keysOf(child, `${prefix}${key}.`) : [`${prefix}${key}`]
+    );
+
+// Fails the build if a dictionary is missing for a locale or lacks a key.
+const expectedKeys = keysOf(dictionaries[defaultLocale]);
+for (const locale of locales) {
+    if (!dictionaries[locale]) throw new Error(`No dictionary for locale "${locale}"`);
+    const keys = new Set(keysOf(dictionaries[locale]));
+    const missing = expectedKeys.filter((key) => !keys.has(key));
+    if (missing.length) throw new Error(`Dictionary "${locale}" is missing keys: ${missing.join(", ")}`);
+}
+
+export function getDictionary(locale) {
+    return dictionaries[isLocale(locale) ? locale : defaultLocale];
+}
@@ -0,0 +1,63 @@
+import { defaultLocale, locales } from "../site";
+
+// ─── LOCALES ─────────────────────────────────────────────────────
+// Safe to import anywhere (proxy.js, server and client components):
+// nothing here pulls in the dictionaries.
+
+// Set by the language switcher; an explicit choice beats Accept-Language.
+export const LOCALE_COOKIE = "portfolio-locale";
+const LOCALE_COOKIE_MAX_AGE_S = 60 * 60 * 24 * 365;
+
+// Each language in its own name, as the switcher shows it.
+export const localeNames = {
+    en: "English",
+    es: "Español",
+};
+
+// `openGraph.locale` values.
+export const openGraphLocales = {
+    en: "en_US",
+    es: "es_EC",
+};
+
+export function isLocale(value) {
+    return locales.includes(value);
+}
+
+// Best supported locale for an Accept-Language header such as
+// "es-EC,es;q=0.9,en;q=0.8"; region subtags are ignored.
+export function negotiateLocale(acceptLanguage) {
+    const ranked = (acceptLanguage ?? "")
+        .split(",")
+        .map((part) => {
+            const [tag, ...params] = part.trim().split(";");
+            const q = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+            return { language: tag.trim().toLowerCase().split("-")[0], weight: q ? Number(q.slice(2)) : 1 };
+        })
+        .filter(({ language, weight }) => language && weight > 0)
+        .sort((a, b) => b.weight - a.weight);
+    return ranked.find(({ language }) => isLocale(language))?.language ?? defaultLocale;
+}
+
+// Browser only: saves the visitor's choice for proxy.js.
+export function rememberLocale(locale) {
+    document.cookie = `${LOCALE_COOKIE}=${locale}; path=/; max-age=${LOCALE_COOKIE_MAX_AGE_S}; samesite=lax`;
+}
+
+// Fills `{name}` placeholders in a dictionary string.
+export function format(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+// Picks the `{ one, other, … }` form of a dictionary entry for `count`
+// and fills in `{count}`.
+export function plural(locale, forms, count) {
+    const form = forms[new Intl.PluralRules(locale).select(count)] ?? forms.other;
+    return format(form, { count });
+}
+
+// "2026-03-02" → "March 2, 2026" / "2 de marzo de 2026". Read as UTC so
+// the day never shifts with the server's timezone.
+export function formatDate(locale, date) {
+    return new Intl.DateTimeFormat(locale, { dateStyle: "long", timeZone: "UTC" }).format(new Date(`${date}T00:00:00Z`));
+}
@@ -0,0 +1,18 @@
+"use client";
+
+import { createContext, useContext } from "react";
+import { defaultLocale } from "../site";
+
+const I18nContext = createContext(null);
+
+// Wraps every page in the [locale] layout with that locale's dictionary.
+export function I18nProvider({ locale = defaultLocale, dictionary, children }) {
+    return <I18nContext.Provider value={{ locale, t: dictionary }}>{children}</I18nContext.Provider>;
+}
+
+// `{ locale, t }`, where `t` is the active dictionary (en.json shape).
+export function useI18n() {
+    const value = useContext(I18nContext);
+    if (!value) throw new Error("useI18n() must be used inside <I18nProvider>");
+    return value;
+}
@@ -0,0 +1,25 @@
+"use client";
+
+import { createPreferenceStore, usePreferenceStore } from "./preference-store";
+import { MOTION_STORAGE_KEY, REDUCED_MOTION_QUERY, motionPreferences } from "./motion";
+
+// ─── MOTION PREFERENCE STORE ─────────────────────────────────────
+// The saved choice (or the OS setting) resolves to
+// <html data-motion="reduce|full">, set before first paint by
+// `motionBootScript` (motion.js) and kept in sync here.
+
+const store = createPreferenceStore({
+    storageKey: MOTION_STORAGE_KEY,
+    choices: motionPreferences,
+    attribute: "data-motion",
+    mediaQuery: REDUCED_MOTION_QUERY,
+    resolveSystem: (prefersReduced) => (prefersReduced ? "reduce" : "full"),
+    fallback: "full",
+});
+
+export const setMotionPreference = store.setPreference;
+
+export function useMotionPreference() {
+    const { preference, resolved } = usePreferenceStore(store);
+    return { preference, reduced: resolved === "reduce", setPreference: setMotionPreference };
+}
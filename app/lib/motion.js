@@ -0,0 +1,20 @@
+// ─── MOTION PREFERENCE ──────────────────────────────────────────
+// "system" follows `prefers-reduced-motion`; "reduce" and "full" are the
+// visitor's explicit choice. The resolved mode lives on <html data-motion>
+// so CSS can stop animations before any script hydrates.
+
+export const MOTION_STORAGE_KEY = "portfolio-motion";
+export const motionPreferences = ["system", "reduce", "full"];
+
+export const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+// Inlined into <head>; must stay self-contained ES5.
+export const motionBootScript = `(function () {
+    var motion = "full";
+    try {
+        var saved = localStorage.getItem(${JSON.stringify(MOTION_STORAGE_KEY)});
+        motion = saved === "reduce" || saved === "full" ? saved
+            : window.matchMedia(${JSON.stringify(REDUCED_MOTION_QUERY)}).matches ? "reduce" : "full";
+    } catch (e) {}
+    document.documentElement.setAttribute("data-motion", motion);
+})();`;
@@ -0,0 +1,120 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { ImageResponse } from "next/og";
+import { defaultTheme, themes } from "./themes";
+import { baseUrl, person } from "./site";
+
+// ─── OPEN GRAPH CARDS ────────────────────────────────────────────
+// 1200×630 share cards for the opengraph-image routes, drawn with the
+// default theme's tokens and the site's fonts. Satori can't read woff2,
+// so the fonts come from the @fontsource packages' woff files.
+
+export const ogSize = { width: 1200, height: 630 };
+export const ogContentType = "image/png";
+
+const { colors } = themes[defaultTheme];
+const domain = baseUrl.replace(/^https?:\/\//, "");
+
+const FONT_DIR = path.join(process.cwd(), "node_modules", "@fontsource");
+const fontFiles = [
+    ["Syne", 800, "syne/files/syne-latin-800-normal.woff"],
+    ["DM Sans", 400, "dm-sans/files/dm-sans-latin-400-normal.woff"],
+    ["DM Sans", 500, "dm-sans/files/dm-sans-latin-500-normal.woff"],
+    ["JetBrains Mono", 500, "jetbrains-mono/files/jetbrains-mono-latin-500-normal.woff"],
+];
+
+let fonts;
+function loadFonts() {
+    fonts ??= Promise.all(fontFiles.map(async ([name, weight, file]) => ({
+        name, weight, style: "normal", data: await readFile(path.join(FONT_DIR, file)),
+    })));
+    return fonts;
+}
+
+// Same faint grid as the project cards' headers.
+const gridOverlay = {
+    position: "absolute", inset: 0, opacity: 0.06,
+    backgroundImage: "linear-gradient(rgba(255,255,255,0.3) 1px, transparent 1px), linear-gradient(90deg, rgba(255,255,255,0.3) 1px, transparent 1px)",
+    backgroundSize: "40px 40px",
+};
+
+// Satori wants the base color and the gradients over it as separate props.
+const glow = `radial-gradient(circle at 85% 20%, ${colors.accentViolet}66, transparent 55%), radial-gradient(circle at 10% 90%, ${colors.accent}33, transparent 50%)`;
+
+function Frame({ backgroundColor = colors.bg, backgroundImage = glow, footer, children }) {
+    return (
+        <div style={{ display: "flex", flexDirection: "column", width: "100%", height: "100%", position: "relative", backgroundColor, backgroundImage, color: colors.text, fontFamily: "DM Sans", padding: "64px 72px" }}>
+            <div style={gridOverlay} />
+            <div style={{ display: "flex", flexDirection: "column", flex: 1, justifyContent: "center", position: "relative" }}>{children}</div>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", position: "relative", fontFamily: "JetBrains Mono", fontSize: 22, color: "rgba(255,255,255,0.6)" }}>
+                {footer}
+                <span>{domain}</span>
+            </div>
+        </div>
+    );
+}
+
+async function render(element) {
+    return new ImageResponse(element, { ...ogSize, fonts: await loadFonts() });
+}
+
+// Home page: name, title and tagline over the hero's colors.
+export function homeCard({ hero, person: copy }) {
+    return render(
+        <Frame footer={<span style={{ color: colors.accent }}>{hero.badge}</span>}>
+            <div style={{ display: "flex", fontFamily: "Syne", fontSize: 100, fontWeight: 800, letterSpacing: -3, lineHeight: 1 }}>{person.name}</div>
+            <div style={{ display: "flex", fontFamily: "Syne", fontSize: 46, fontWeight: 800, color: colors.accent, marginTop: 20 }}>{copy.jobTitle}</div>
+            <div style={{ display: "flex", fontSize: 30, color: colors.textSecondary, marginTop: 28 }}>{hero.tagline}</div>
+        </Frame>
+    );
+}
+
+// Project page: title and metrics over the project's own gradient.
+export function projectCard(project, { caseStudy }) {
+    return render(
+        <Frame backgroundImage={project.gradient} footer={<span>{person.name}</span>}>
+            <div style={{ display: "flex", fontFamily: "JetBrains Mono", fontSize: 24, letterSpacing: 3, textTransform: "uppercase", color: "rgba(255,255,255,0.7)" }}>
+                {caseStudy.label}
+            </div>
+            <div style={{ display: "flex", fontFamily: "Syne", fontSize: project.title.length > 24 ? 54 : 68, fontWeight: 800, letterSpacing: -2, lineHeight: 1.05, marginTop: 18, maxWidth: 1000 }}>
+                {project.title}
+            </div>
+            <div style={{ display: "flex", gap: 20, marginTop: 44 }}>
+                {project.metrics.map((metric) => (
+                    <div key={metric.label} style={{ display: "flex", flexDirection: "column", padding: "18px 28px", borderRadius: 18, background: "rgba(0,0,0,0.3)", border: "1px solid rgba(255,255,255,0.1)" }}>
+                        <span style={{ fontFamily: "Syne", fontSize: 40, fontWeight: 800, color: colors.accent }}>{metric.value}</span>
+                        <span style={{ fontSize: 20, color: "rgba(255,255,255,0.6)", marginTop: 4 }}>{metric.label}</span>
+                    </div>
+                ))}
+            </div>
+        </Frame>
+    );
+}
+
+// Résumé pages: name and the version's headline.
+export function resumeCard(resume, { resume: copy }) {
+    return render(
+        <Frame footer={<span style={{ color: colors.accent }}>{resume.label}</span>}>
+            <div style={{ display: "flex", fontFamily: "JetBrains Mono", fontSize: 24, letterSpacing: 3, textTransform: "uppercase", color: colors.textSecondary }}>
+                {copy.link}
+            </div>
+            <div style={{ display: "flex", fontFamily: "Syne", fontSize: 100, fontWeight: 800, letterSpacing: -3, lineHeight: 1, marginTop: 18 }}>{person.name}</div>
+            <div style={{ display: "flex", fontFamily: "Syne", fontSize: 46, fontWeight: 800, color: colors.accent, marginTop: 20 }}>{resume.title}</div>
+        </Frame>
+    );
+}
+
+// Blog index, tag pages and posts: a kicker, the title and one line of detail.
+export function blogCard({ kicker, title, detail }) {
+    return render(
+        <Frame footer={<span>{person.name}</span>}>
+            <div style={{ display: "flex", fontFamily: "JetBrains Mono", fontSize: 24, letterSpacing: 3, textTransform: "uppercase", color: colors.accent }}>
+                {kicker}
+            </div>
+            <div style={{ display: "flex", fontFamily: "Syne", fontSize: title.length > 40 ? 56 : 68, fontWeight: 800, letterSpacing: -2, lineHeight: 1.08, marginTop: 18, maxWidth: 1040 }}>
+                {title}
+            </div>
+            <div style={{ display: "flex", fontSize: 28, color: colors.textSecondary, marginTop: 28 }}>{detail}</div>
+        </Frame>
+    );
+}
@@ -0,0 +1,65 @@
+"use client";
+
+import { useSyncExternalStore } from "react";
+
+// ─── PREFERENCE STORES ───────────────────────────────────────────
+// A choice saved in localStorage whose "system" option follows an OS media
+// query. The resolved value lives in an attribute on <html>, set before
+// first paint by a boot script and kept in sync by the store. The theme
+// and motion preferences are both one of these.
+
+export function createPreferenceStore({ storageKey, choices, attribute, mediaQuery, resolveSystem, fallback }) {
+    const listeners = new Set();
+    let unsavedPreference = "system"; // used when localStorage is unavailable
+
+    function readPreference() {
+        try {
+            const saved = localStorage.getItem(storageKey);
+            return choices.includes(saved) ? saved : "system";
+        } catch {
+            return unsavedPreference;
+        }
+    }
+
+    function apply() {
+        const preference = readPreference();
+        const resolved = preference === "system" ? resolveSystem(window.matchMedia(mediaQuery).matches) : preference;
+        document.documentElement.setAttribute(attribute, resolved);
+        listeners.forEach((listener) => listener());
+    }
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        const media = window.matchMedia(mediaQuery);
+        const onStorage = (e) => { if (e.key === storageKey) apply(); };
+        media.addEventListener("change", apply);
+        window.addEventListener("storage", onStorage);
+        return () => {
+            listeners.delete(listener);
+            media.removeEventListener("change", apply);
+            window.removeEventListener("storage", onStorage);
+        };
+    }
+
+    function setPreference(preference) {
+        unsavedPreference = preference;
+        try {
+            localStorage.setItem(storageKey, preference);
+        } catch {
+            // Without storage the choice still applies for this page view.
+        }
+        apply();
+    }
+
+    const readResolved = () => document.documentElement.getAttribute(attribute) ?? fallback;
+
+    return { subscribe, readPreference, readResolved, setPreference, fallback };
+}
+
+// The saved choice and what it resolved to; "system" and `fallback` while
+// server rendering.
+export function usePreferenceStore(store) {
+    const preference = useSyncExternalStore(store.subscribe, store.readPreference, () => "system");
+    const resolved = useSyncExternalStore(store.subscribe, store.readResolved, () => store.fallback);
+    return { preference, resolved };
+}
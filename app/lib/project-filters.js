@@ -0,0 +1,74 @@
+"use client";
+
+import { useMemo, useSyncExternalStore } from "react";
+
+// ─── PROJECT FILTERS STORE ───────────────────────────────────────
+// The URL query is the store, so a filtered grid can be shared:
+// `?tech=Svelte&tech=Next.js&industry=fintech&q=dashboard`. Tags match
+// if a project has any of them; tags, industry and text must all match.
+// Changes use replaceState, so filtering doesn't pile up history entries.
+
+export const emptyFilters = { tech: [], industry: "", query: "" };
+
+const listeners = new Set();
+
+function subscribe(listener) {
+    listeners.add(listener);
+    window.addEventListener("popstate", listener);
+    return () => {
+        listeners.delete(listener);
+        window.removeEventListener("popstate", listener);
+    };
+}
+
+const getSearch = () => window.location.search;
+
+function parseFilters(search) {
+    const params = new URLSearchParams(search);
+    return {
+        tech: params.getAll("tech"),
+        industry: params.get("industry") ?? "",
+        query: params.get("q") ?? "",
+    };
+}
+
+export function setProjectFilters(filters) {
+    const params = new URLSearchParams(window.location.search);
+    ["tech", "industry", "q"].forEach((key) => params.delete(key));
+    filters.tech.forEach((tag) => params.append("tech", tag));
+    if (filters.industry) params.set("industry", filters.industry);
+    if (filters.query) params.set("q", filters.query);
+    const search = params.toString();
+    window.history.replaceState(null, "", `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`);
+    listeners.forEach((listener) => listener());
+}
+
+// The server always renders the full grid; filters from the URL apply
+// right after hydration.
+export function useProjectFilters() {
+    const search = useSyncExternalStore(subscribe, getSearch, () => "");
+    const filters = useMemo(() => parseFilters(search), [search]);
+    return { filters, setFilters: setProjectFilters };
+}
+
+export const hasFilters = (filters) => filters.tech.length > 0 || Boolean(filters.industry) || Boolean(filters.query.trim());
+
+// Case- and accent-insensitive, so "logistica" finds "Logística".
+const normalize = (text) => text.normalize("NFD").replace(/\p{Diacritic}/gu, "").toLowerCase();
+
+export function filterProjects(projects, { tech, industry, query }) {
+    const terms = normalize(query).split(/\s+/).filter(Boolean);
+    return projects.filter((project) => {
+        if (tech.length && !project.tags.some((tag) => tech.includes(tag))) return false;
+        if (industry && project.industry !== industry) return false;
+        const text = normalize(`${project.title} ${project.description}`);
+        return terms.every((term) => text.includes(term));
+    });
+}
+
+// Every tag with the number of projects using it, most used first.
+export function tagCounts(projects) {
+    const counts = new Map();
+    projects.forEach((project) => project.tags.forEach((tag) => counts.set(tag, (counts.get(tag) ?? 0) + 1)));
+    return [...counts].sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b));
+}
@@ -0,0 +1,43 @@
+// ─── IN-MEMORY RATE LIMITER ──────────────────────────────────────
+// Sliding-window counter per key (usually a client IP). State lives in
+// the server process, so limits reset on deploy and are per-instance.
+
+export function createRateLimiter({ limit, windowMs }) {
+    const hits = new Map();
+
+    const prune = (now) => {
+        for (const [key, stamps] of hits) {
+            const fresh = stamps.filter((stamp) => now - stamp < windowMs);
+            if (fresh.length) hits.set(key, fresh);
+            else hits.delete(key);
+        }
+    };
+
+    return {
+        hit(key, now = Date.now()) {
+            if (hits.size > 1000) prune(now);
+            const stamps = (hits.get(key) ?? []).filter((stamp) => now - stamp < windowMs);
+            if (stamps.length >= limit) {
+                hits.set(key, stamps);
+                return { allowed: false, retryAfter: Math.ceil((stamps[0] + windowMs - now) / 1000) };
+            }
+            stamps.push(now);
+            hits.set(key, stamps);
+            return { allowed: true, retryAfter: 0 };
+        },
+    };
+}
+
+// The client can put anything in X-Forwarded-For; only the entries our
+// own proxies appended can be trusted. Each proxy appends the address it
+// saw, so with TRUSTED_PROXY_HOPS proxies in front of the app (default 1,
+// e.g. Vercel or a single nginx) the client is that many entries from the
+// right. With 0 no header can be trusted and route handlers can't see the
+// socket address, so every client shares one "unknown" key.
+export function clientIp(request) {
+    const hops = Number(process.env.TRUSTED_PROXY_HOPS ?? 1);
+    if (!(hops > 0)) return "unknown";
+    const chain = (request.headers.get("x-forwarded-for") ?? "").split(",").map((entry) => entry.trim()).filter(Boolean);
+    if (chain.length) return chain[Math.max(0, chain.length - hops)];
+    return request.headers.get("x-real-ip") ?? "unknown";
+}
@@ -0,0 +1,92 @@
+import PDFDocument from "pdfkit";
+import { printTheme, themes } from "./themes";
+import { localizedUrl, person } from "./site";
+
+// ─── RÉSUMÉ PDF ──────────────────────────────────────────────────
+// Draws the résumé model from resume.js onto A4 pages in the print theme's
+// colors, with the same sections as the /resume page. Uses the built-in
+// Helvetica faces so there are no font files to ship; they only cover
+// Windows-1252, so the arrows used in highlights are spelled out.
+
+const MARGIN = 50;
+const { colors } = themes[printTheme];
+const MUTED = 0.65;
+
+const plain = (text) => text.replace(/→/g, "->").replace(/←/g, "<-");
+
+function keepTogether(doc, height) {
+    if (doc.y + height > doc.page.height - MARGIN) doc.addPage();
+}
+
+function sectionHeading(doc, title) {
+    keepTogether(doc, 60);
+    doc.moveDown(1.2);
+    doc.font("Helvetica-Bold").fontSize(10).fillColor(colors.text).text(title.toUpperCase(), { characterSpacing: 1.2 });
+    const y = doc.y + 3;
+    doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.75).strokeColor(colors.accent).stroke();
+    doc.y = y + 8;
+}
+
+// Resolves to the finished PDF file.
+export function renderResumePdf(resume, copy) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: "A4",
+            margin: MARGIN,
+            info: { Title: `${person.name} — ${resume.title}`, Author: person.name, Subject: copy.title },
+        });
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", reject);
+        const width = doc.page.width - MARGIN * 2;
+
+        doc.font("Helvetica-Bold").fontSize(24).fillColor(colors.text).text(person.name);
+        doc.font("Helvetica").fontSize(13).fillColor(colors.text).text(resume.title);
+        doc.moveDown(0.4);
+        doc.fontSize(9).fillColor(colors.text, MUTED).text(
+            [person.email, localizedUrl("/", resume.locale), `github.com/${person.github}`, `${person.location.city}, ${person.location.countryCode}`].join("   ·   ")
+        );
+
+        sectionHeading(doc, copy.sections.summary);
+        doc.font("Helvetica").fontSize(10).fillColor(colors.text).text(plain(resume.summary), { lineGap: 2 });
+
+        sectionHeading(doc, copy.sections.experience);
+        resume.experience.forEach(({ company, role, period, highlights }, i) => {
+            keepTogether(doc, 70);
+            if (i > 0) doc.moveDown(0.8);
+            const top = doc.y;
+            doc.font("Helvetica").fontSize(9).fillColor(colors.text, MUTED).text(period, MARGIN, top, { width, align: "right" });
+            doc.font("Helvetica-Bold").fontSize(11).fillColor(colors.text).text(role, MARGIN, top, { width: width - 130 });
+            doc.font("Helvetica").fontSize(10).fillColor(colors.text, MUTED).text(company);
+            doc.moveDown(0.3);
+            doc.fontSize(9.5).fillColor(colors.text).list(highlights.map(plain), {
+                bulletRadius: 1.5, bulletIndent: 4, textIndent: 12, lineGap: 1.5, paragraphGap: 2,
+            });
+        });
+
+        sectionHeading(doc, copy.sections.projects);
+        resume.projects.forEach(({ title, description, tags, url }, i) => {
+            keepTogether(doc, 50);
+            if (i > 0) doc.moveDown(0.6);
+            doc.font("Helvetica-Bold").fontSize(10.5).fillColor(colors.text).text(title, { link: url });
+            doc.font("Helvetica").fontSize(9.5).text(plain(description), { lineGap: 1.5 });
+            doc.fontSize(8.5).fillColor(colors.text, MUTED).text(tags.join(" · "));
+        });
+
+        sectionHeading(doc, copy.sections.skills);
+        resume.skills.forEach(({ title, items }) => {
+            keepTogether(doc, 24);
+            doc.font("Helvetica-Bold").fontSize(9.5).fillColor(colors.text).text(`${title}: `, { continued: true });
+            doc.font("Helvetica").text(items.join(", "), { lineGap: 2 });
+        });
+
+        sectionHeading(doc, copy.sections.education);
+        doc.font("Helvetica").fontSize(10).fillColor(colors.text).text(person.education);
+
+        sectionHeading(doc, copy.sections.languages);
+        doc.fontSize(10).text(resume.languages.map(({ language, fluency }) => `${language} (${fluency})`).join("   ·   "));
+
+        doc.end();
+    });
+}
@@ -0,0 +1,105 @@
+import { getExperience, getProjects, getResumeUpdatedAt, getResumeVariants, getSkills } from "./content";
+import { getDictionary } from "./i18n/dictionaries";
+import { baseUrl, localizedPath, localizedUrl, person } from "./site";
+
+// ─── RÉSUMÉ ──────────────────────────────────────────────────────
+// One model feeds the /resume page, the PDF and the JSON Resume export.
+// The full résumé has every skill, highlight and project; a variant from
+// content/resumes.json keeps only the ones it names, in its own order.
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+// "MAR 2022 — JUN 2025" → { startDate: "2022-03", endDate: "2025-06" }, read
+// from the English period. An end that isn't a date ("PRESENT") stays open.
+function periodDates(period) {
+    const [startDate, endDate] = period.split("—").map((part) => {
+        const [, month, year] = part.trim().match(/^([A-Z]{3}) (\d{4})$/) ?? [];
+        const index = MONTHS.indexOf(month);
+        return index === -1 ? undefined : `${year}-${String(index + 1).padStart(2, "0")}`;
+    });
+    return { startDate, endDate };
+}
+
+export function resumeVariantSlugs() {
+    return getResumeVariants().map((variant) => variant.slug);
+}
+
+export function resumePath(variant) {
+    return variant ? `/resume/${variant}` : "/resume";
+}
+
+// `/en/resume.pdf`, `/en/resume.json?variant=frontend`, …
+export function resumeFilePath(extension, locale, variant) {
+    return `${localizedPath(`/resume.${extension}`, locale)}${variant ? `?variant=${variant}` : ""}`;
+}
+
+// null when `slug` names no variant.
+export function getResume(locale, slug) {
+    const variant = slug ? getResumeVariants(locale).find((entry) => entry.slug === slug) : undefined;
+    if (slug && !variant) return null;
+
+    const dictionary = getDictionary(locale);
+    const skills = getSkills(locale);
+    const englishSkills = getSkills();
+    const experience = getExperience(locale);
+    const englishExperience = getExperience();
+    const projects = getProjects(locale);
+
+    const roles = variant?.experience ?? englishExperience.map(({ company, highlights }) => ({ company, highlights: highlights.map((_, i) => i) }));
+    return {
+        locale,
+        variant: variant?.slug,
+        label: variant?.label ?? dictionary.resume.full,
+        title: variant?.title ?? dictionary.person.jobTitle,
+        summary: variant?.summary ?? dictionary.person.description,
+        skills: variant ? variant.skills.map((title) => skills[englishSkills.findIndex((skill) => skill.title === title)]) : skills,
+        experience: roles.map(({ company, highlights }) => {
+            const index = englishExperience.findIndex((entry) => entry.company === company);
+            const { role, period, highlights: all } = experience[index];
+            return { company, role, period, ...periodDates(englishExperience[index].period), highlights: highlights.map((i) => all[i]) };
+        }),
+        projects: (variant ? variant.projects.map((slug) => projects.find((project) => project.slug === slug)) : projects)
+            .map(({ slug, title, description, tags, metrics }) => ({ slug, title, description, tags, metrics, url: localizedUrl(`/projects/${slug}`, locale) })),
+        languages: dictionary.resume.languages,
+        updatedAt: getResumeUpdatedAt(locale),
+    };
+}
+
+// https://jsonresume.org/schema
+export function toJsonResume(resume) {
+    const github = `https://github.com/${person.github}`;
+    return {
+        $schema: "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json",
+        basics: {
+            name: person.name,
+            label: resume.title,
+            email: person.email,
+            url: localizedUrl("/", resume.locale),
+            summary: resume.summary,
+            location: person.location,
+            profiles: [{ network: "GitHub", username: person.github, url: github }],
+        },
+        work: resume.experience.map(({ company, role, startDate, endDate, highlights }) => ({
+            name: company,
+            position: role,
+            startDate,
+            endDate,
+            highlights,
+        })),
+        education: [{ institution: person.education }],
+        skills: resume.skills.map(({ title, items }) => ({ name: title, keywords: items })),
+        languages: resume.languages,
+        projects: resume.projects.map(({ title, description, tags, metrics, url }) => ({
+            name: title,
+            description,
+            highlights: metrics.map(({ value, label }) => `${value} ${label}`),
+            keywords: tags,
+            url,
+        })),
+        meta: {
+            canonical: `${baseUrl}${resumeFilePath("json", resume.locale, resume.variant)}`,
+            version: "v1.0.0",
+            lastModified: `${resume.updatedAt}T00:00:00`,
+        },
+    };
+}
@@ -0,0 +1,79 @@
+// ─── HERO QUALITY TIERS ─────────────────────────────────────────
+// The hero scene is built at one of three tiers. The starting tier comes
+// from device signals and a short frame-time probe; ThreeScene steps it
+// down at runtime if frames stay slow. The result is kept for the session
+// so later page views skip the probe.
+
+export const qualityTiers = {
+    low: { particleScale: 0.4, sphereDetail: 2, ringSegments: 48, antialias: false, maxPixelRatio: 1 },
+    medium: { particleScale: 0.7, sphereDetail: 3, ringSegments: 72, antialias: true, maxPixelRatio: 1.5 },
+    high: { particleScale: 1, sphereDetail: 4, ringSegments: 100, antialias: true, maxPixelRatio: 2 },
+};
+
+const tierOrder = ["low", "medium", "high"];
+
+const QUALITY_STORAGE_KEY = "portfolio-scene-quality";
+const PROBE_FRAMES = 20;
+const SLOW_PROBE_MS = 1000 / 45;
+
+export const lowerTier = (tier) => tierOrder[Math.max(0, tierOrder.indexOf(tier) - 1)];
+
+// Best guess from what the browser exposes; missing signals don't count against a device.
+function tierFromSignals() {
+    const cores = navigator.hardwareConcurrency ?? 4;
+    const memory = navigator.deviceMemory ?? 4;
+    const pixels = window.screen.width * window.screen.height * window.devicePixelRatio ** 2;
+    const saveData = navigator.connection?.saveData === true;
+
+    if (saveData || cores <= 2 || memory <= 2) return "low";
+    if (cores <= 4 || memory <= 4 || pixels > 3840 * 2160) return "medium";
+    return "high";
+}
+
+// Average ms between animation frames over a short burst.
+function probeFrameTime() {
+    return new Promise((resolve) => {
+        let first = 0;
+        let frames = 0;
+        const step = (now) => {
+            if (frames === 0) first = now;
+            if (frames++ < PROBE_FRAMES) requestAnimationFrame(step);
+            else resolve((now - first) / PROBE_FRAMES);
+        };
+        requestAnimationFrame(step);
+    });
+}
+
+export function rememberTier(tier) {
+    try {
+        sessionStorage.setItem(QUALITY_STORAGE_KEY, tier);
+    } catch {
+        // Without storage the next page view simply probes again.
+    }
+}
+
+export async function detectQualityTier() {
+    try {
+        const saved = sessionStorage.getItem(QUALITY_STORAGE_KEY);
+        if (saved in qualityTiers) return saved;
+    } catch {
+        // Fall through to detection.
+    }
+    let tier = tierFromSignals();
+    if (tier !== "low" && (await probeFrameTime()) > SLOW_PROBE_MS) tier = lowerTier(tier);
+    rememberTier(tier);
+    return tier;
+}
+
+// Whether a WebGL context can be created at all (disabled, blocklisted or
+// headless browsers can't). The probe context is released straight away.
+export function supportsWebGL() {
+    try {
+        const canvas = document.createElement("canvas");
+        const gl = canvas.getContext("webgl2") ?? canvas.getContext("webgl");
+        gl?.getExtension("WEBGL_lose_context")?.loseContext();
+        return Boolean(gl);
+    } catch {
+        return false;
+    }
+}
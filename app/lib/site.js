@@ -0,0 +1,33 @@
+// ─── SITE CONFIG ─────────────────────────────────────────────────
+export const baseUrl = "https://diego-torres-moran.vercel.app";
+
+export const defaultLocale = "en";
+export const locales = [defaultLocale, "es"];
+
+// Every page lives under its locale prefix (`/en/...`, `/es/...`).
+export function localizedPath(path, locale = defaultLocale) {
+    return `/${locale}${path === "/" ? "" : path}`;
+}
+
+export function localizedUrl(path, locale = defaultLocale) {
+    return `${baseUrl}${localizedPath(path, locale)}`;
+}
+
+// `alternates.languages` map for a route, shared by the sitemap and page
+// metadata. `x-default` is the unprefixed path, which proxy.js redirects
+// to the visitor's language.
+export function languageAlternates(path) {
+    return {
+        ...Object.fromEntries(locales.map((locale) => [locale, localizedUrl(path, locale)])),
+        "x-default": `${baseUrl}${path === "/" ? "" : path}`,
+    };
+}
+
+// Contact and background details shown on the résumé.
+export const person = {
+    name: "Diego Torres",
+    email: "mju34170@gmail.com",
+    github: "mvpcraft",
+    location: { city: "Guayaquil", region: "Guayas", countryCode: "EC" },
+    education: "Universidad Politécnica Salesiana",
+};
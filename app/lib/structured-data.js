@@ -0,0 +1,248 @@
+import { getHomeUpdatedAt, getSkills } from "./content";
+import { postPath } from "./blog";
+import { getResume } from "./resume";
+import { baseUrl, localizedUrl, locales, person } from "./site";
+import { getDictionary } from "./i18n/dictionaries";
+
+// ─── STRUCTURED DATA ─────────────────────────────────────────────
+// JSON-LD for every page, built from the same content as the page itself.
+// The layout emits the Person (and the Service they offer) everywhere;
+// pages add their own node and point back to the Person by `@id`.
+// serializeJsonLd() checks each tree against SHAPES, so a bad node fails
+// the build the same way bad content does.
+
+const CONTEXT = "https://schema.org";
+const personId = `${baseUrl}/#person`;
+const personRef = { "@id": personId };
+
+export function personJsonLd(locale) {
+    const { person: copy } = getDictionary(locale);
+    const skills = getSkills(locale);
+    const { experience } = getResume(locale);
+    return {
+        "@context": CONTEXT,
+        "@type": "Person",
+        "@id": personId,
+        name: person.name,
+        url: localizedUrl("/", locale),
+        email: `mailto:${person.email}`,
+        jobTitle: copy.jobTitle,
+        description: copy.description,
+        address: {
+            "@type": "PostalAddress",
+            addressLocality: person.location.city,
+            addressRegion: person.location.region,
+            addressCountry: person.location.countryCode,
+        },
+        alumniOf: { "@type": "CollegeOrUniversity", name: person.education },
+        knowsAbout: [...new Set(skills.flatMap((skill) => skill.items))],
+        knowsLanguage: locales,
+        sameAs: [`https://github.com/${person.github}`],
+        hasOccupation: {
+            "@type": "Occupation",
+            name: copy.jobTitle,
+            description: copy.description,
+            occupationLocation: { "@type": "City", name: person.location.city },
+            skills: skills.map((skill) => skill.title),
+        },
+        // schema.org's Role pattern: each role wraps the organization it was at.
+        worksFor: experience.map(({ company, role, startDate, endDate }) => ({
+            "@type": "EmployeeRole",
+            roleName: role,
+            startDate,
+            endDate,
+            worksFor: { "@type": "Organization", name: company },
+        })),
+    };
+}
+
+export function serviceJsonLd(locale) {
+    const { service } = getDictionary(locale);
+    return {
+        "@context": CONTEXT,
+        "@type": "Service",
+        name: service.name,
+        provider: personRef,
+        description: service.description,
+        areaServed: service.areaServed,
+        serviceType: service.types,
+    };
+}
+
+// The home page is the profile; its subject is the Person from the layout.
+export function profilePageJsonLd(locale) {
+    const { meta } = getDictionary(locale);
+    return {
+        "@context": CONTEXT,
+        "@type": "ProfilePage",
+        url: localizedUrl("/", locale),
+        name: meta.title,
+        inLanguage: locale,
+        dateModified: getHomeUpdatedAt(locale),
+        mainEntity: personRef,
+    };
+}
+
+// Shipped apps (those with an `applicationCategory`) are SoftwareApplications;
+// internal tools and dashboards stay CreativeWorks.
+export function projectJsonLd(project, locale) {
+    const { projects } = getDictionary(locale);
+    return {
+        "@context": CONTEXT,
+        "@type": project.applicationCategory ? "SoftwareApplication" : "CreativeWork",
+        name: project.title,
+        url: localizedUrl(`/projects/${project.slug}`, locale),
+        description: project.description,
+        inLanguage: locale,
+        dateModified: project.updatedAt,
+        creator: personRef,
+        genre: projects.industries[project.industry],
+        keywords: project.tags.join(", "),
+        applicationCategory: project.applicationCategory,
+    };
+}
+
+export function blogPostingJsonLd(post, locale) {
+    const url = localizedUrl(postPath(post.slug), locale);
+    return {
+        "@context": CONTEXT,
+        "@type": "BlogPosting",
+        headline: post.title,
+        url,
+        mainEntityOfPage: url,
+        description: post.description,
+        inLanguage: post.language,
+        datePublished: post.date,
+        dateModified: post.updatedAt,
+        author: personRef,
+        keywords: post.tags.join(", "),
+        wordCount: post.body.split(/\s+/).filter(Boolean).length,
+    };
+}
+
+// `trail` is every page after Home, ending with the current one.
+export function breadcrumbJsonLd(locale, trail) {
+    const { nav } = getDictionary(locale);
+    return {
+        "@context": CONTEXT,
+        "@type": "BreadcrumbList",
+        itemListElement: [{ name: nav.home, url: localizedUrl("/", locale) }, ...trail].map(({ name, url }, i) => ({
+            "@type": "ListItem",
+            position: i + 1,
+            name,
+            item: url,
+        })),
+    };
+}
+
+// ─── SHAPES ──────────────────────────────────────────────────────
+// The schema.org properties each emitted type may carry and what goes in
+// them: "Text", "URL", "Date", "Integer" or another type's name; "[]" allows
+// a list, "!" makes it required. A node may always be a bare `{ "@id" }`
+// reference instead. Only the subset this site uses is listed, so a typo'd
+// property is caught as unknown.
+const creativeWork = {
+    name: "Text!", url: "URL!", description: "Text", inLanguage: "Text", dateModified: "Date",
+    creator: "Person", genre: "Text", keywords: "Text",
+};
+
+const SHAPES = {
+    Person: {
+        name: "Text!", url: "URL!", email: "Text", jobTitle: "Text", description: "Text",
+        address: "PostalAddress", alumniOf: "CollegeOrUniversity", knowsAbout: "Text[]", knowsLanguage: "Text[]",
+        sameAs: "URL[]", hasOccupation: "Occupation", worksFor: "EmployeeRole[]",
+    },
+    PostalAddress: { addressLocality: "Text", addressRegion: "Text", addressCountry: "Text" },
+    CollegeOrUniversity: { name: "Text!" },
+    Organization: { name: "Text!" },
+    City: { name: "Text!" },
+    Occupation: { name: "Text!", description: "Text", occupationLocation: "City", skills: "Text[]" },
+    EmployeeRole: { roleName: "Text!", startDate: "Date!", endDate: "Date", worksFor: "Organization!" },
+    Service: { name: "Text!", provider: "Person!", description: "Text", areaServed: "Text", serviceType: "Text[]" },
+    ProfilePage: { url: "URL!", name: "Text", inLanguage: "Text", dateModified: "Date", mainEntity: "Person!" },
+    CreativeWork: creativeWork,
+    SoftwareApplication: { ...creativeWork, applicationCategory: "Text!" },
+    BlogPosting: {
+        headline: "Text!", url: "URL!", mainEntityOfPage: "URL", description: "Text", inLanguage: "Text",
+        datePublished: "Date!", dateModified: "Date", author: "Person!", keywords: "Text", wordCount: "Integer",
+    },
+    BreadcrumbList: { itemListElement: "ListItem[]!" },
+    ListItem: { position: "Integer!", name: "Text!", item: "URL!" },
+};
+
+const ABSOLUTE_URL = /^https?:\/\/[^\s]+$/;
+const ISO_DATE = /^\d{4}-\d{2}(-\d{2})?$/;
+
+export class StructuredDataError extends Error {
+    constructor(type, issues) {
+        super(`Invalid ${type} JSON-LD:\n  - ${issues.join("\n  - ")}`);
+        this.name = "StructuredDataError";
+    }
+}
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+function checkValue(value, expected, where, issues) {
+    switch (expected) {
+        case "Text":
+            if (typeof value !== "string" || !value.trim()) issues.push(`${where} must be non-empty text`);
+            break;
+        case "URL":
+            if (typeof value !== "string" || !ABSOLUTE_URL.test(value)) issues.push(`${where} must be an absolute URL (got ${JSON.stringify(value)})`);
+            break;
+        case "Date":
+            if (typeof value !== "string" || !ISO_DATE.test(value)) issues.push(`${where} must be a YYYY-MM or YYYY-MM-DD date (got ${JSON.stringify(value)})`);
+            break;
+        case "Integer":
+            if (!Number.isInteger(value)) issues.push(`${where} must be a whole number`);
+            break;
+        default:
+            checkNode(value, expected, where, issues);
+    }
+}
+
+function checkNode(node, expected, where, issues) {
+    if (!isObject(node)) {
+        issues.push(`${where} must be a ${expected} object`);
+        return;
+    }
+    if (Object.keys(node).length === 1 && "@id" in node) {
+        checkValue(node["@id"], "URL", `${where}.@id`, issues);
+        return;
+    }
+    if (node["@type"] !== expected) {
+        issues.push(`${where}.@type must be ${expected} (got ${JSON.stringify(node["@type"])})`);
+        return;
+    }
+    const shape = SHAPES[expected];
+    for (const [key, value] of Object.entries(node)) {
+        if (key === "@type" || value === undefined) continue;
+        if (key === "@id") checkValue(node[key], "URL", `${where}.@id`, issues);
+        else if (!(key in shape)) issues.push(`${where}.${key} is not a ${expected} property here`);
+    }
+    for (const [key, spec] of Object.entries(shape)) {
+        const [, type, list, required] = spec.match(/^(\w+)(\[\])?(!)?$/);
+        const value = node[key];
+        if (value === undefined) {
+            if (required) issues.push(`${where}.${key} is required`);
+        } else if (list && Array.isArray(value)) {
+            if (required && !value.length) issues.push(`${where}.${key} needs at least one item`);
+            value.forEach((item, i) => checkValue(item, type, `${where}.${key}[${i}]`, issues));
+        } else {
+            checkValue(value, type, `${where}.${key}`, issues);
+        }
+    }
+}
+
+// Validated JSON for a <script type="application/ld+json">, with `<`
+// escaped so no string in the content can close the tag.
+export function serializeJsonLd(data) {
+    const { "@context": context, ...node } = data;
+    const type = node["@type"];
+    const issues = [];
+    if (context !== CONTEXT) issues.push(`${type}.@context must be "${CONTEXT}"`);
+    if (!(type in SHAPES)) issues.push(`@type ${JSON.stringify(type)} has no shape`);
+    else checkNode(node, type, type, issues);
+    if (issues.length) throw new StructuredDataError(type, issues);
+    return JSON.stringify(data).replace(/</g, "\\u003c");
+}
@@ -0,0 +1,25 @@
+"use client";
+
+import { createPreferenceStore, usePreferenceStore } from "./preference-store";
+import { SYSTEM_THEME_QUERY, THEME_STORAGE_KEY, defaultTheme, themePreferences } from "./themes";
+
+// ─── THEME PREFERENCE ────────────────────────────────────────────
+// The visitor picks "dark", "light", "contrast" or "system" (saved in localStorage).
+// The resolved theme lives on <html data-theme>, set before first paint by
+// `themeBootScript` (themes.js) and kept in sync with the OS by this store.
+
+const store = createPreferenceStore({
+    storageKey: THEME_STORAGE_KEY,
+    choices: themePreferences,
+    attribute: "data-theme",
+    mediaQuery: SYSTEM_THEME_QUERY,
+    resolveSystem: (prefersLight) => (prefersLight ? "light" : defaultTheme),
+    fallback: defaultTheme,
+});
+
+export const setThemePreference = store.setPreference;
+
+export function useThemePreference() {
+    const { preference, resolved } = usePreferenceStore(store);
+    return { preference, theme: resolved, setPreference: setThemePreference };
+}
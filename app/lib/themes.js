@@ -0,0 +1,226 @@
+// ─── DESIGN TOKENS ───────────────────────────────────────────────
+// Single source for every theme. `colors` are emitted as CSS custom
+// properties (`bgCard` → `--bg-card`) under `:root[data-theme="<name>"]`
+// and read through `vars`; `scene` configures the hero's ThreeScene.
+// Adding a theme means adding one entry here.
+export const themes = {
+    dark: {
+        label: "Dark theme",
+        icon: "🌙",
+        colorScheme: "dark",
+        colors: {
+            bg: "#080812",
+            bgSecondary: "rgba(8,8,18,0.85)",
+            bgCard: "rgba(255,255,255,0.02)",
+            bgCardHover: "rgba(255,255,255,0.04)",
+            bgInput: "rgba(255,255,255,0.03)",
+            text: "#fff",
+            textSecondary: "rgba(255,255,255,0.5)",
+            textMuted: "rgba(255,255,255,0.4)",
+            textSubtle: "rgba(255,255,255,0.3)",
+            border: "rgba(255,255,255,0.06)",
+            borderHover: "rgba(255,255,255,0.1)",
+            accent: "#00f5d4",
+            accentBlue: "#4cc9f0",
+            accentPink: "#f72585",
+            accentGreen: "#06d6a0",
+            accentViolet: "#7209b7",
+            heroGradient: "linear-gradient(135deg, #00f5d4, #4cc9f0, #7209b7)",
+            success: "#06d6a0",
+            successGradient: "linear-gradient(135deg, #06d6a0, #34d399)",
+            danger: "#f72585",
+            dangerGradient: "linear-gradient(135deg, #f72585, #ff6b6b)",
+            gradientOverlay: "linear-gradient(transparent, #080812)",
+            scrollbarTrack: "#080812",
+            scrollbarThumb: "#00f5d433",
+            selection: "#00f5d433",
+            mobileMenu: "rgba(8,8,18,0.95)",
+            onAccent: "#080812",
+            cardBody: "rgba(12,12,24,0.8)",
+            cardShadow: "rgba(0,0,0,0.4)",
+        },
+        scene: {
+            primary: "#00f5d4",
+            secondary: "#f72585",
+            tertiary: "#7209b7",
+            highlight: "#4cc9f0",
+            ambient: "#404040",
+            ambientIntensity: 0.3,
+            lightIntensity: [3, 2, 2],
+            additive: true,
+            coreEmissive: 0.5,
+            coreOpacity: 0.8,
+            ringThickness: 0.02,
+            nodeEmissive: 0.8,
+            lineOpacity: 0.15,
+            particleCount: 500,
+            particleSize: 30,
+            particleAlpha: 0.8,
+            shapeEmissive: 0.3,
+        },
+    },
+    light: {
+        label: "Light theme",
+        icon: "☀️",
+        colorScheme: "light",
+        colors: {
+            bg: "#f8f9fc",
+            bgSecondary: "rgba(255,255,255,0.9)",
+            bgCard: "rgba(0,0,0,0.02)",
+            bgCardHover: "rgba(0,0,0,0.05)",
+            bgInput: "rgba(0,0,0,0.03)",
+            text: "#1a1a2e",
+            textSecondary: "rgba(26,26,46,0.6)",
+            textMuted: "rgba(26,26,46,0.5)",
+            textSubtle: "rgba(26,26,46,0.35)",
+            border: "rgba(0,0,0,0.08)",
+            borderHover: "rgba(0,0,0,0.15)",
+            accent: "#00c9a7",
+            accentBlue: "#4cc9f0",
+            accentPink: "#f72585",
+            accentGreen: "#06d6a0",
+            accentViolet: "#7209b7",
+            heroGradient: "linear-gradient(135deg, #00f5d4, #4cc9f0, #7209b7)",
+            success: "#06d6a0",
+            successGradient: "linear-gradient(135deg, #06d6a0, #34d399)",
+            danger: "#f72585",
+            dangerGradient: "linear-gradient(135deg, #f72585, #ff6b6b)",
+            gradientOverlay: "linear-gradient(transparent, #f8f9fc)",
+            scrollbarTrack: "#f8f9fc",
+            scrollbarThumb: "#00c9a744",
+            selection: "#00c9a733",
+            mobileMenu: "rgba(255,255,255,0.95)",
+            onAccent: "#fff",
+            cardBody: "rgba(255,255,255,0.9)",
+            cardShadow: "rgba(0,0,0,0.15)",
+        },
+        scene: {
+            primary: "#00a896",
+            secondary: "#d90368",
+            tertiary: "#5a189a",
+            highlight: "#0077b6",
+            ambient: "#808080",
+            ambientIntensity: 0.6,
+            lightIntensity: [2, 1.5, 1.5],
+            additive: false,
+            coreEmissive: 0.3,
+            coreOpacity: 0.9,
+            ringThickness: 0.03,
+            nodeEmissive: 0.4,
+            lineOpacity: 0.25,
+            particleCount: 300,
+            particleSize: 40,
+            particleAlpha: 0.6,
+            shapeEmissive: 0.15,
+        },
+    },
+    contrast: {
+        label: "High-contrast theme",
+        icon: "◐",
+        colorScheme: "dark",
+        colors: {
+            bg: "#000",
+            bgSecondary: "rgba(0,0,0,0.95)",
+            bgCard: "#000",
+            bgCardHover: "#111",
+            bgInput: "#000",
+            text: "#fff",
+            textSecondary: "#fff",
+            textMuted: "#e6e6e6",
+            textSubtle: "#cccccc",
+            border: "#ffffff",
+            borderHover: "#ffd60a",
+            accent: "#ffd60a",
+            accentBlue: "#7fdbff",
+            accentPink: "#ff8fc8",
+            accentGreen: "#5dffb0",
+            accentViolet: "#d4a5ff",
+            heroGradient: "linear-gradient(135deg, #ffd60a, #ffd60a)",
+            success: "#5dffb0",
+            successGradient: "linear-gradient(135deg, #5dffb0, #5dffb0)",
+            danger: "#ff8fc8",
+            dangerGradient: "linear-gradient(135deg, #ff8fc8, #ff8fc8)",
+            gradientOverlay: "linear-gradient(transparent, #000)",
+            scrollbarTrack: "#000",
+            scrollbarThumb: "#ffd60a",
+            selection: "#ffd60a",
+            mobileMenu: "#000",
+            onAccent: "#000",
+            cardBody: "#000",
+            cardShadow: "rgba(255,214,10,0.35)",
+        },
+        scene: {
+            primary: "#ffd60a",
+            secondary: "#ffffff",
+            tertiary: "#7fdbff",
+            highlight: "#ff8fc8",
+            ambient: "#ffffff",
+            ambientIntensity: 0.4,
+            lightIntensity: [2, 1.5, 1.5],
+            additive: false,
+            coreEmissive: 0.6,
+            coreOpacity: 1,
+            ringThickness: 0.03,
+            nodeEmissive: 0.8,
+            lineOpacity: 0.4,
+            particleCount: 200,
+            particleSize: 30,
+            particleAlpha: 0.9,
+            shapeEmissive: 0.4,
+        },
+    },
+};
+
+export const defaultTheme = "dark";
+
+// Paper is white whatever theme is on screen: printed pages and the
+// résumé PDF use this theme's colors.
+export const printTheme = "light";
+
+export const THEME_STORAGE_KEY = "portfolio-theme";
+export const themePreferences = [...Object.keys(themes), "system"];
+
+export const SYSTEM_THEME_QUERY = "(prefers-color-scheme: light)";
+
+// Browser UI color for each OS color scheme, i.e. what "system" resolves
+// to: one <meta name="theme-color"> per entry.
+export const themeColors = [
+    { media: SYSTEM_THEME_QUERY, color: themes.light.colors.bg },
+    { media: "(prefers-color-scheme: dark)", color: themes[defaultTheme].colors.bg },
+];
+
+// Inlined into <head>; must stay self-contained ES5.
+export const themeBootScript = `(function () {
+    try {
+        var saved = localStorage.getItem(${JSON.stringify(THEME_STORAGE_KEY)});
+        var known = ${JSON.stringify(Object.keys(themes))};
+        var theme = known.indexOf(saved) !== -1 ? saved
+            : window.matchMedia(${JSON.stringify(SYSTEM_THEME_QUERY)}).matches ? "light" : ${JSON.stringify(defaultTheme)};
+        document.documentElement.setAttribute("data-theme", theme);
+    } catch (e) {}
+})();`;
+
+const cssVar = (key) => `--${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+// `var(--…)` reference for every color token; what components style with.
+export const vars = Object.fromEntries(
+    Object.keys(themes[defaultTheme].colors).map((key) => [key, `var(${cssVar(key)})`])
+);
+
+export function themeCss() {
+    const tokens = Object.keys(themes[defaultTheme].colors);
+    for (const [name, { colors }] of Object.entries(themes)) {
+        const missing = tokens.filter((key) => !(key in colors));
+        if (missing.length) throw new Error(`Theme "${name}" is missing color tokens: ${missing.join(", ")}`);
+    }
+    const declarations = (colors) => Object.entries(colors).map(([key, value]) => `${cssVar(key)}: ${value};`).join(" ");
+    return [
+        ...Object.entries(themes).map(([name, { colors, colorScheme }]) => `:root[data-theme="${name}"] { ${declarations(colors)} color-scheme: ${colorScheme}; }`),
+        `@media print { :root[data-theme] { ${declarations(themes[printTheme].colors)} color-scheme: ${themes[printTheme].colorScheme}; } }`,
+    ].join("\n");
+}
+
+// Translucent variant of a token; works for CSS variables, unlike hex alpha suffixes.
+export function alpha(color, amount) {
+    return `color-mix(in srgb, ${color} ${Math.round(amount * 100)}%, transparent)`;
+}
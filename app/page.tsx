@@ -1,2 +0,0 @@
-"use client";
-export { default } from "./components/Portfolio";
\ No newline at end of file
@@ -1,6 +1,6 @@
-export default function robots() {
-    const baseUrl = "https://diego-torres-moran.vercel.app";
+import { baseUrl } from "./lib/site";
 
+export default function robots() {
     return {
         rules: [
             {
@@ -10,4 +10,4 @@ export default function robots() {
         ],
         sitemap: `${baseUrl}/sitemap.xml`,
     };
-}
\ No newline at end of file
+}
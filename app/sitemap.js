@@ -1,42 +1,36 @@
-export default function sitemap() {
-    const baseUrl = "https://diego-torres-moran.vercel.app";
+import { getBlogUpdatedAt, getHomeUpdatedAt, getPost, getPosts, getProject, getProjects, getResumeUpdatedAt } from "./lib/content";
+import { getTags, postPath, tagPath } from "./lib/blog";
+import { resumePath, resumeVariantSlugs } from "./lib/resume";
+import { languageAlternates, localizedUrl, locales } from "./lib/site";
+
+// One entry per locale for every real route, dated from the content (and
+// translation) that renders it.
+function routeEntries(path, updatedAt, changeFrequency, priority) {
+    const languages = languageAlternates(path);
+    return locales.map((locale) => ({
+        url: localizedUrl(path, locale),
+        lastModified: new Date(updatedAt(locale)),
+        changeFrequency,
+        priority,
+        alternates: { languages },
+    }));
+}
 
+export default function sitemap() {
     return [
-        {
-            url: baseUrl,
-            lastModified: new Date(),
-            changeFrequency: "monthly",
-            priority: 1,
-        },
-        {
-            url: `${baseUrl}/#about`,
-            lastModified: new Date(),
-            changeFrequency: "monthly",
-            priority: 0.8,
-        },
-        {
-            url: `${baseUrl}/#skills`,
-            lastModified: new Date(),
-            changeFrequency: "monthly",
-            priority: 0.8,
-        },
-        {
-            url: `${baseUrl}/#experience`,
-            lastModified: new Date(),
-            changeFrequency: "monthly",
-            priority: 0.8,
-        },
-        {
-            url: `${baseUrl}/#projects`,
-            lastModified: new Date(),
-            changeFrequency: "monthly",
-            priority: 0.9,
-        },
-        {
-            url: `${baseUrl}/#contact`,
-            lastModified: new Date(),
-            changeFrequency: "yearly",
-            priority: 0.7,
-        },
+        ...routeEntries("/", getHomeUpdatedAt, "monthly", 1),
+        ...getProjects().flatMap((project) =>
+            routeEntries(`/projects/${project.slug}`, (locale) => getProject(project.slug, locale).updatedAt, "yearly", 0.8)
+        ),
+        ...[undefined, ...resumeVariantSlugs()].flatMap((variant) =>
+            routeEntries(resumePath(variant), getResumeUpdatedAt, "monthly", variant ? 0.5 : 0.7)
+        ),
+        ...routeEntries("/blog", getBlogUpdatedAt, "weekly", 0.7),
+        ...getPosts().flatMap((post) =>
+            routeEntries(postPath(post.slug), (locale) => getPost(post.slug, locale).updatedAt, "yearly", 0.6)
+        ),
+        ...getTags().flatMap(({ tag, posts }) =>
+            routeEntries(tagPath(tag), (locale) => posts.map((post) => getPost(post.slug, locale).updatedAt).sort().at(-1), "weekly", 0.3)
+        ),
     ];
-}
\ No newline at end of file
+}
@@ -0,0 +1,7 @@
+// ─── SERVER STARTUP ──────────────────────────────────────────────
+// Runs once when a Node.js server starts (not during `next build`).
+export async function register() {
+    if (process.env.NEXT_RUNTIME !== "nodejs" || process.env.NEXT_PHASE === "phase-production-build") return;
+    const { startRetryQueue } = await import("./app/lib/contact/retry");
+    startRetryQueue();
+}
@@ -1,7 +1,8 @@
 import type { NextConfig } from "next";
 
 const nextConfig: NextConfig = {
-  /* config options here */
+  // pdfkit loads its font metrics from its own folder at runtime.
+  serverExternalPackages: ["pdfkit"],
 };
 
 export default nextConfig;
@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { localizedPath } from "./app/lib/site";
+import { checkAdmin, isAdminPath } from "./app/lib/admin-auth";
+import { LOCALE_COOKIE, isLocale, negotiateLocale } from "./app/lib/i18n/locale";
+
+// ─── LOCALE ROUTING ──────────────────────────────────────────────
+// Every page lives under /en or /es. A request without a locale prefix is
+// redirected to the language picked in the switcher (cookie) or, failing
+// that, the best match for Accept-Language. Owner-only pages (admin-auth.js)
+// ask for the admin password first.
+export function proxy(request) {
+    const { pathname } = request.nextUrl;
+    const [, first, ...rest] = pathname.split("/");
+    if (isLocale(first)) {
+        if (isAdminPath(`/${rest.join("/")}`)) return checkAdmin(request) ?? NextResponse.next();
+        return NextResponse.next();
+    }
+
+    const saved = request.cookies.get(LOCALE_COOKIE)?.value;
+    const locale = isLocale(saved) ? saved : negotiateLocale(request.headers.get("accept-language"));
+    const url = request.nextUrl.clone();
+    url.pathname = localizedPath(pathname, locale);
+    const response = NextResponse.redirect(url);
+    response.headers.set("Vary", "Accept-Language, Cookie");
+    return response;
+}
+
+// Skip API routes, Next.js internals and files (sitemap.xml, robots.txt,
+// images), except the résumé downloads and blog feeds, which exist per locale.
+export const config = {
+    matcher: ["/((?!api/|_next/|.*\\..*).*)", "/resume.json", "/resume.pdf", "/blog/rss.xml", "/blog/atom.xml", "/blog/feed.json"],
+};